@@ -0,0 +1,209 @@
+/**
+ * API Key Registry
+ *
+ * Loads API keys with per-key permissions (endpoints, models, tool policy),
+ * rate limits and daily request/token quotas from a JSON file. Falls back to the single
+ * API_KEY environment variable when no key file is configured.
+ *
+ * Key file format:
+ * {
+ *   "keys": [
+ *     {
+ *       "name": "team-rca",
+ *       "key": "sk-...",                      // oder "keySha256": "<hex>"
+ *       "endpoints": ["/v1/chat/completions", "/api/*"],
+ *       "models": ["sonnet", "haiku"],
+ *       "rateLimit": { "windowMs": 60000, "max": 30 },
+ *       "quota": { "dailyRequests": 1000, "dailyTokens": 2000000 },
+ *       "toolPolicy": { "permissionMode": "default", "allowedTools": ["Read", "Grep"], "maxTurns": 10 },
+ *       "mcpServers": ["logsearch"],               // Erlaubte MCP Server (siehe mcp-servers.js)
+ *       "team": "sre"                              // Team-Budgets (siehe cost-ledger.js)
+ *     }
+ *   ]
+ * }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+const toolPolicy = require('./tool-policy');
+
+class ApiKeyRegistry {
+  constructor() {
+    // sha256(key) → Key-Eintrag (ohne Klartext-Key)
+    this.keys = new Map();
+    // Key-Name → { windowStart, count }
+    this.rateWindows = new Map();
+    // Key-Name → { day, requests, tokens }
+    this.dailyUsage = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Lädt die Keys aus der Key-Datei bzw. der API_KEY Umgebungsvariable
+   */
+  load() {
+    this.keys.clear();
+
+    if (config.auth.keysFile) {
+      const content = JSON.parse(fs.readFileSync(config.auth.keysFile, 'utf8'));
+      for (const entry of content.keys || []) {
+        this._addKey(entry);
+      }
+      logger.info('API keys loaded', { file: config.auth.keysFile, count: this.keys.size });
+    } else if (config.auth.apiKey) {
+      this._addKey({ name: 'default', key: config.auth.apiKey });
+    }
+
+    if (config.auth.enabled && this.keys.size === 0) {
+      logger.warn('API key authentication enabled but no keys configured, all requests will be rejected');
+    }
+  }
+
+  /**
+   * Sucht den Key-Eintrag zu einem übergebenen Key
+   *
+   * @returns {Object|null} Key-Eintrag oder null
+   */
+  find(providedKey) {
+    return this.keys.get(this._hash(providedKey)) || null;
+  }
+
+  /**
+   * Sucht einen Key-Eintrag anhand seines Namens (z.B. für Hintergrund-Jobs)
+   *
+   * @returns {Object|null} Key-Eintrag oder null
+   */
+  findByName(name) {
+    for (const entry of this.keys.values()) {
+      if (entry.name === name) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Prüft ob der Key den Endpunkt nutzen darf ("*" am Ende als Präfix-Wildcard)
+   */
+  isEndpointAllowed(entry, path) {
+    if (!entry.endpoints) return true;
+    return entry.endpoints.some(pattern => pattern.endsWith('*')
+      ? path.startsWith(pattern.slice(0, -1))
+      : path === pattern);
+  }
+
+  /**
+   * Prüft ob der Key das Modell nutzen darf
+   */
+  isModelAllowed(entry, model) {
+    if (!entry.models) return true;
+    return entry.models.includes(model);
+  }
+
+  /**
+   * Zählt einen Request gegen das Rate Limit des Keys (festes Zeitfenster)
+   *
+   * @param {Object|undefined} entry - Key-Eintrag
+   * @returns {Object|null} Ablehnungsgrund { code, message, retryAfter } oder null
+   */
+  consumeRateLimit(entry) {
+    const now = Date.now();
+
+    if (entry?.rateLimit) {
+      let window = this.rateWindows.get(entry.name);
+      if (!window || now - window.windowStart >= entry.rateLimit.windowMs) {
+        window = { windowStart: now, count: 0 };
+        this.rateWindows.set(entry.name, window);
+      }
+
+      if (window.count >= entry.rateLimit.max) {
+        return {
+          code: 'rate_limit_exceeded',
+          message: 'Too many requests for this API key, please try again later',
+          retryAfter: Math.ceil((window.windowStart + entry.rateLimit.windowMs - now) / 1000)
+        };
+      }
+      window.count++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Zählt einen Request gegen die Tages-Quota des Keys (ohne Rate Limit)
+   *
+   * Batches zählen jede Zeile einzeln, siehe batch-manager.js.
+   *
+   * @param {Object|undefined} entry - Key-Eintrag
+   * @returns {Object|null} Ablehnungsgrund { code, message, retryAfter } oder null
+   */
+  consumeQuota(entry) {
+    if (!entry?.quota) return null;
+
+    const usage = this._getDailyUsage(entry.name);
+    if (entry.quota.dailyRequests && usage.requests >= entry.quota.dailyRequests) {
+      return this._quotaExceeded(`Daily request quota of ${entry.quota.dailyRequests} exceeded`);
+    }
+    if (entry.quota.dailyTokens && usage.tokens >= entry.quota.dailyTokens) {
+      return this._quotaExceeded(`Daily token quota of ${entry.quota.dailyTokens} exceeded`);
+    }
+    usage.requests++;
+    return null;
+  }
+
+  /**
+   * Verbucht die Token-Usage eines abgeschlossenen Requests auf den Key
+   *
+   * @param {Object|undefined} entry - Key-Eintrag (req.apiKey)
+   * @param {Object|undefined} usage - OpenAI usage ({ total_tokens }) oder Claude usage ({ input_tokens, output_tokens })
+   */
+  recordUsage(entry, usage) {
+    if (!entry?.quota || !usage) return;
+
+    const tokens = usage.total_tokens ??
+      ((usage.input_tokens || 0) + (usage.output_tokens || 0));
+    this._getDailyUsage(entry.name).tokens += tokens;
+  }
+
+  _addKey(entry) {
+    if (!entry.name || (!entry.key && !entry.keySha256)) {
+      throw new Error('Each API key entry needs a name and a key or keySha256');
+    }
+
+    const policyError = toolPolicy.validateConfig(entry.toolPolicy, 'toolPolicy');
+    if (policyError) {
+      throw new Error(`API key '${entry.name}': ${policyError}`);
+    }
+
+    const hash = entry.keySha256 ? entry.keySha256.toLowerCase() : this._hash(entry.key);
+    const { key, keySha256, ...publicEntry } = entry;
+    this.keys.set(hash, publicEntry);
+  }
+
+  _getDailyUsage(name) {
+    const day = new Date().toISOString().substring(0, 10);
+    let usage = this.dailyUsage.get(name);
+    if (!usage || usage.day !== day) {
+      usage = { day, requests: 0, tokens: 0 };
+      this.dailyUsage.set(name, usage);
+    }
+    return usage;
+  }
+
+  _quotaExceeded(message) {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return {
+      code: 'quota_exceeded',
+      message,
+      retryAfter: Math.ceil((midnight.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  _hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+}
+
+module.exports = new ApiKeyRegistry();
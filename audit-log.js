@@ -0,0 +1,198 @@
+/**
+ * Audit Log
+ *
+ * Optional compliance record of who sent which prompt and what came back:
+ * one JSONL record per request (request id, key identity, endpoint, model,
+ * request body, response, usage), written to its own files under
+ * AUDIT_LOG_DIR - separate from the operational winston logs.
+ *
+ * Files rotate daily and by size (audit-2026-10-19.jsonl, audit-2026-10-19.1.jsonl, ...);
+ * files older than AUDIT_LOG_RETENTION_DAYS or beyond AUDIT_LOG_MAX_FILES are deleted.
+ *
+ * AUDIT_LOG_REDACT_FIELDS replaces fields with "[REDACTED]":
+ *   "content"            - every field with this name (at any depth)
+ *   "request.messages"   - exactly this path (arrays are traversed)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+const REDACTED = '[REDACTED]';
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+class AuditLog {
+  constructor() {
+    this.enabled = config.audit.enabled;
+    // Aktuelle Datei: { day, part, size }
+    this.current = null;
+    // Aufbewahrung nach dem ersten Eintrag einer neuen Datei prüfen
+    this.pruneDue = false;
+  }
+
+  /**
+   * Schreibt den Audit-Eintrag eines HTTP Requests (nach Ende der Response)
+   *
+   * Die Response stammt aus res.json bzw. bei Streaming aus res.locals.auditResponse.
+   *
+   * @param {Object} req - Express Request
+   * @param {Object} res - Express Response
+   */
+  recordRequest(req, res) {
+    const response = res.locals.auditResponse ?? null;
+
+    this.record({
+      request_id: req.id,
+      api_key: req.apiKey?.name || null,
+      endpoint: req.path,
+      model: req.body?.model || config.claude.defaultModel,
+      status: res.statusCode,
+      // Client hat die Verbindung vor dem Ende der Response getrennt
+      aborted: !res.writableFinished,
+      duration_ms: Date.now() - req.startTime,
+      request: req.body,
+      response,
+      usage: response?.usage ?? null
+    });
+  }
+
+  /**
+   * Schreibt einen Audit-Eintrag (Zeitstempel wird ergänzt, Felder redigiert)
+   *
+   * @param {Object} entry - { request_id, api_key, endpoint, model, request, response, usage, ... }
+   */
+  record(entry) {
+    if (!this.enabled) return;
+
+    const line = JSON.stringify(redact({ timestamp: new Date().toISOString(), ...entry }, '')) + '\n';
+
+    try {
+      fs.appendFileSync(this._target(Buffer.byteLength(line)), line);
+      this.current.size += Buffer.byteLength(line);
+
+      if (this.pruneDue) {
+        this.pruneDue = false;
+        this._prune();
+      }
+    } catch (error) {
+      // Audit-Fehler dürfen den Request nicht scheitern lassen
+      logger.logError(error, { phase: 'audit-write', requestId: entry.request_id });
+    }
+  }
+
+  /**
+   * Audit-Response eines Streams (gesammelter Text pro Choice und Usage)
+   *
+   * @param {Object|null} summary - Ergebnis von executeStreaming
+   */
+  streamResponse(summary) {
+    if (!summary) return null;
+
+    return {
+      choices: summary.choices.map(choice => ({
+        index: choice.index,
+        text: choice.text,
+        stop_reason: choice.stopReason || null,
+        error: choice.hasError
+      })),
+      usage: summary.usage
+    };
+  }
+
+  /**
+   * Datei für den nächsten Eintrag (neue Datei bei Tageswechsel oder Überschreiten von AUDIT_LOG_MAX_SIZE)
+   */
+  _target(bytes) {
+    const day = new Date().toISOString().substring(0, 10);
+
+    if (this.current?.day !== day) {
+      fs.mkdirSync(config.audit.dir, { recursive: true });
+      const part = this._lastPart(day);
+      this.current = { day, part, size: this._size(day, part) };
+      this.pruneDue = true;
+    }
+
+    if (this.current.size > 0 && this.current.size + bytes > config.audit.maxSize) {
+      this.current = { day, part: this.current.part + 1, size: 0 };
+      this.pruneDue = true;
+    }
+
+    return this._file(day, this.current.part);
+  }
+
+  /**
+   * Löscht Dateien außerhalb der Aufbewahrung (Alter in Tagen, Anzahl Dateien)
+   */
+  _prune() {
+    const cutoff = new Date(Date.now() - config.audit.retentionDays * 86400000).toISOString().substring(0, 10);
+
+    const files = fs.readdirSync(config.audit.dir)
+      .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+      .filter(file => file.match)
+      .map(file => ({ name: file.name, day: file.match[1], part: parseInt(file.match[2] || '0') }))
+      // Neueste zuerst
+      .sort((a, b) => b.day.localeCompare(a.day) || b.part - a.part);
+
+    files.forEach((file, index) => {
+      const expired = file.day < cutoff;
+      const surplus = config.audit.maxFiles && index >= config.audit.maxFiles;
+      if (!expired && !surplus) return;
+
+      try {
+        fs.unlinkSync(path.join(config.audit.dir, file.name));
+        logger.info('Audit log file deleted', { file: file.name, reason: expired ? 'retention' : 'max_files' });
+      } catch (error) {
+        logger.logError(error, { phase: 'audit-prune', file: file.name });
+      }
+    });
+  }
+
+  _lastPart(day) {
+    let part = 0;
+    for (const name of fs.readdirSync(config.audit.dir)) {
+      const match = FILE_PATTERN.exec(name);
+      if (match && match[1] === day) {
+        part = Math.max(part, parseInt(match[2] || '0'));
+      }
+    }
+    return part;
+  }
+
+  _size(day, part) {
+    const file = this._file(day, part);
+    return fs.existsSync(file) ? fs.statSync(file).size : 0;
+  }
+
+  _file(day, part) {
+    return path.join(config.audit.dir, part > 0 ? `audit-${day}.${part}.jsonl` : `audit-${day}.jsonl`);
+  }
+}
+
+/**
+ * Ersetzt die konfigurierten Felder durch "[REDACTED]"
+ *
+ * @param {*} value - Wert (Objekte und Arrays werden kopiert, nicht verändert)
+ * @param {string} fieldPath - Pfad des Werts ("request.messages"), Array-Indizes zählen nicht
+ */
+function redact(value, fieldPath) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, fieldPath));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const fields = config.audit.redactFields;
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+    result[key] = fields.includes(key) || fields.includes(childPath)
+      ? REDACTED
+      : redact(child, childPath);
+  }
+  return result;
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,515 @@
+/**
+ * Batch Manager
+ *
+ * OpenAI-style batch processing: a JSONL file of chat completion requests
+ * is stored on disk and worked off in the background through the regular
+ * executor with a bounded concurrency. Batch state, input and results are
+ * persisted under BATCH_DIR, so unfinished batches resume after a restart.
+ *
+ * Files per batch:
+ *   <id>.json          Batch-Objekt (Status, Zähler, Zeitstempel)
+ *   <id>.input.jsonl   Eingereichte Requests
+ *   <id>.output.jsonl  Ergebnisse (eine Zeile pro abgeschlossenem Request)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const claudeExecutor = require('./claude-executor');
+const apiKeys = require('./api-keys');
+const costLedger = require('./cost-ledger');
+const auditLog = require('./audit-log');
+const { validateChatCompletionBody } = require('./chat-request');
+const workspace = require('./workspace');
+const toolPolicy = require('./tool-policy');
+const mcpServers = require('./mcp-servers');
+
+// Von Batches unterstützte Endpunkte
+const SUPPORTED_ENDPOINTS = ['/v1/chat/completions'];
+
+// Endzustände eines Batches
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const BATCH_ID_PATTERN = /^batch_[a-f0-9]{24}$/;
+
+class BatchManager {
+  constructor() {
+    // batchId → { batch, requests, done (Set von custom_ids), active }
+    this.batches = new Map();
+    // Wartende Requests in Bearbeitungsreihenfolge: { batchId, index }
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Lädt gespeicherte Batches und setzt unfertige fort
+   */
+  start() {
+    fs.mkdirSync(config.batch.dir, { recursive: true });
+
+    for (const file of fs.readdirSync(config.batch.dir)) {
+      const match = /^(batch_[a-f0-9]{24})\.json$/.exec(file);
+      if (match) {
+        try {
+          this._restore(match[1]);
+        } catch (error) {
+          logger.logError(error, { phase: 'batch-restore', batchId: match[1] });
+        }
+      }
+    }
+
+    logger.info('Batches loaded', {
+      dir: config.batch.dir,
+      batches: this.batches.size,
+      pendingRequests: this.pending.length
+    });
+
+    this._pump();
+  }
+
+  /**
+   * Parst und prüft eine JSONL-Batch-Datei
+   *
+   * @param {string} jsonl - Inhalt der Datei
+   * @param {Object|undefined} apiKey - Key-Eintrag des Aufrufers (Modell-Berechtigungen)
+   * @returns {Array<Object>} Requests ({ custom_id, method, url, body })
+   * @throws {Error} Bei ungültigen Zeilen (statusCode 400/403, Zeilennummer in der Meldung)
+   */
+  parseInput(jsonl, apiKey) {
+    const lines = jsonl.split('\n').filter(line => line.trim());
+    const requests = [];
+    const customIds = new Set();
+
+    if (lines.length === 0) {
+      throw this._inputError('Batch input is empty');
+    }
+    if (lines.length > config.batch.maxRequests) {
+      throw this._inputError(`Batch input exceeds the maximum of ${config.batch.maxRequests} requests`);
+    }
+
+    lines.forEach((line, i) => {
+      let request;
+      try {
+        request = JSON.parse(line);
+      } catch (error) {
+        throw this._inputError(`Line ${i + 1}: invalid JSON (${error.message})`);
+      }
+
+      if (typeof request.custom_id !== 'string' || !request.custom_id) {
+        throw this._inputError(`Line ${i + 1}: custom_id is required`);
+      }
+      if (customIds.has(request.custom_id)) {
+        throw this._inputError(`Line ${i + 1}: duplicate custom_id '${request.custom_id}'`);
+      }
+      customIds.add(request.custom_id);
+
+      const url = request.url || SUPPORTED_ENDPOINTS[0];
+      if (!SUPPORTED_ENDPOINTS.includes(url)) {
+        throw this._inputError(`Line ${i + 1}: unsupported url '${url}'. Must be one of: ${SUPPORTED_ENDPOINTS.join(', ')}`);
+      }
+
+      // Dieselbe Validierung wie POST /v1/chat/completions
+      const body = request.body;
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw this._inputError(`Line ${i + 1}: body must be an object`);
+      }
+      const bodyError = validateChatCompletionBody(body);
+      if (bodyError) {
+        throw this._inputError(`Line ${i + 1}: ${bodyError.message}`);
+      }
+
+      // Batch-Requests laufen unabhängig voneinander, ohne CLI-Session
+      if (body.conversation_id !== undefined || body.session_id !== undefined) {
+        throw this._inputError(`Line ${i + 1}: conversation_id is not supported in batches`);
+      }
+
+      const model = body.model || config.claude.defaultModel;
+      if (apiKey && !apiKeys.isModelAllowed(apiKey, model)) {
+        const error = this._inputError(`Line ${i + 1}: model '${model}' is not allowed for this API key`);
+        error.statusCode = 403;
+        error.code = 'model_not_allowed';
+        throw error;
+      }
+
+      // Workspace beim Einreichen prüfen, nicht erst bei der Verarbeitung
+      const requestedWorkspace = workspace.fromBody(body);
+      if (requestedWorkspace !== undefined) {
+        try {
+          body.workspace = workspace.resolve(requestedWorkspace);
+          delete body.cwd;
+        } catch (error) {
+          error.message = `Line ${i + 1}: ${error.message}`;
+          throw error;
+        }
+      }
+
+      // Tool-Policy des Keys zum Zeitpunkt des Einreichens festhalten, MCP Server prüfen
+      try {
+        body.tool_policy = toolPolicy.resolve(apiKey, body.tool_policy);
+        body.mcp_servers = mcpServers.resolve(body.mcp_servers, apiKey);
+      } catch (error) {
+        error.message = `Line ${i + 1}: ${error.message}`;
+        throw error;
+      }
+
+      requests.push({ custom_id: request.custom_id, method: 'POST', url, body });
+    });
+
+    return requests;
+  }
+
+  /**
+   * Legt einen Batch an und reiht seine Requests ein
+   *
+   * @param {Array<Object>} requests - Geprüfte Requests aus parseInput()
+   * @param {Object} options - owner (Name des API Keys)
+   * @returns {Object} Batch-Objekt
+   */
+  create(requests, options = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const batch = {
+      id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'batch',
+      endpoint: SUPPORTED_ENDPOINTS[0],
+      status: 'in_progress',
+      owner: options.owner || null,
+      metadata: null,
+      created_at: now,
+      in_progress_at: now,
+      completed_at: null,
+      failed_at: null,
+      cancelled_at: null,
+      request_counts: {
+        total: requests.length,
+        completed: 0,
+        failed: 0
+      }
+    };
+
+    fs.writeFileSync(this._file(batch.id, 'input.jsonl'), requests.map(r => JSON.stringify(r)).join('\n') + '\n');
+    fs.writeFileSync(this._file(batch.id, 'output.jsonl'), '');
+    this._save(batch);
+
+    this.batches.set(batch.id, { batch, requests, done: new Set(), active: 0 });
+    requests.forEach((_, index) => this.pending.push({ batchId: batch.id, index }));
+
+    logger.info('Batch created', { batchId: batch.id, owner: batch.owner, requests: requests.length });
+
+    this._pump();
+    return this.toPublic(batch);
+  }
+
+  /**
+   * Liefert einen Batch (oder null)
+   */
+  get(id) {
+    if (!BATCH_ID_PATTERN.test(id)) return null;
+    return this.batches.get(id)?.batch || null;
+  }
+
+  /**
+   * Listet Batches, neueste zuerst
+   *
+   * @param {string|null} owner - Nur Batches dieses Keys (null = alle)
+   */
+  list(owner) {
+    return [...this.batches.values()]
+      .map(entry => entry.batch)
+      .filter(batch => owner === null || batch.owner === owner)
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  /**
+   * Bricht einen Batch ab: wartende Requests werden verworfen,
+   * laufende Requests werden noch abgeschlossen
+   *
+   * @returns {Object} Batch-Objekt
+   */
+  cancel(id) {
+    const entry = this.batches.get(id);
+    const { batch } = entry;
+
+    if (FINAL_STATUSES.includes(batch.status)) {
+      return batch;
+    }
+
+    this.pending = this.pending.filter(item => item.batchId !== id);
+    batch.status = 'cancelling';
+    this._finishIfDone(entry);
+    this._save(batch);
+
+    logger.info('Batch cancelled', { batchId: id, active: entry.active });
+    return batch;
+  }
+
+  /**
+   * Pfad der Ergebnis-Datei eines Batches
+   */
+  resultsFile(id) {
+    return this._file(id, 'output.jsonl');
+  }
+
+  /**
+   * Batch-Objekt für API-Responses (ohne interne Felder)
+   */
+  toPublic(batch) {
+    const { owner, ...publicBatch } = batch;
+    return publicBatch;
+  }
+
+  stats() {
+    return {
+      batches: this.batches.size,
+      pendingRequests: this.pending.length,
+      runningRequests: this.running,
+      concurrency: config.batch.concurrency
+    };
+  }
+
+  /**
+   * Startet wartende Requests bis zur konfigurierten Parallelität
+   */
+  _pump() {
+    while (this.running < config.batch.concurrency && this.pending.length > 0) {
+      const item = this.pending.shift();
+      const entry = this.batches.get(item.batchId);
+      if (!entry || entry.batch.status !== 'in_progress') continue;
+
+      this.running++;
+      entry.active++;
+      this._process(entry, item)
+        .catch(error => this._fail(entry, error))
+        .finally(() => {
+          this.running--;
+          entry.active--;
+          try {
+            this._finishIfDone(entry);
+          } catch (error) {
+            this._fail(entry, error);
+          }
+          this._pump();
+        });
+    }
+  }
+
+  /**
+   * Führt einen einzelnen Request eines Batches aus und speichert das Ergebnis
+   */
+  async _process(entry, item) {
+    const { batch } = entry;
+    const request = entry.requests[item.index];
+    const result = {
+      id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+      custom_id: request.custom_id,
+      response: null,
+      error: null
+    };
+
+    const owner = apiKeys.findByName(batch.owner);
+
+    try {
+      // Jede Zeile zählt gegen die Tages-Quota des Keys (einmal, auch bei späterem Neuversuch)
+      if (!item.quotaConsumed) {
+        const quotaRejection = apiKeys.consumeQuota(owner);
+        if (quotaRejection) {
+          throw this._limitError(quotaRejection);
+        }
+        item.quotaConsumed = true;
+      }
+
+      // Budgets gelten auch für bereits eingereichte Batches
+      const rejection = costLedger.check(owner);
+      if (rejection) {
+        throw this._limitError(rejection);
+      }
+
+      const response = await claudeExecutor.execute(
+        { ...request.body, stream: false },
+        { input_format: 'text', output_format: 'json' }
+      );
+      result.response = { status_code: 200, body: claudeExecutor.toPublic(response) };
+      apiKeys.recordUsage(owner, response.usage);
+      costLedger.record(owner, response.usage, { requestId: result.id, model: request.body.model || config.claude.defaultModel });
+    } catch (error) {
+      // Kapazitätsfehler (Queue voll/Timeout): Request später erneut versuchen
+      if (error.type === 'capacity_error' && batch.status === 'in_progress') {
+        logger.warn('Batch request deferred, no Claude process available', {
+          batchId: batch.id,
+          customId: request.custom_id
+        });
+        setTimeout(() => {
+          this.pending.unshift(item);
+          this._pump();
+        }, (error.retryAfter || 5) * 1000);
+        return;
+      }
+
+      result.response = {
+        status_code: error.statusCode || 500,
+        body: {
+          error: {
+            message: error.message,
+            type: error.type || 'claude_execution_error',
+            code: error.code || 'unknown_error'
+          }
+        }
+      };
+    }
+
+    auditLog.record({
+      request_id: result.id,
+      api_key: batch.owner || null,
+      endpoint: '/v1/batches',
+      model: request.body.model || config.claude.defaultModel,
+      status: result.response.status_code,
+      batch_id: batch.id,
+      custom_id: request.custom_id,
+      request: request.body,
+      response: result.response.body,
+      usage: result.response.body.usage ?? null
+    });
+
+    fs.appendFileSync(this.resultsFile(batch.id), JSON.stringify(result) + '\n');
+    entry.done.add(request.custom_id);
+    if (result.response.status_code === 200) {
+      batch.request_counts.completed++;
+    } else {
+      batch.request_counts.failed++;
+    }
+    this._save(batch);
+  }
+
+  /**
+   * Markiert einen Batch als fehlgeschlagen, wenn Ergebnis oder Status nicht
+   * geschrieben werden können (z.B. Platte voll); offene Requests entfallen
+   */
+  _fail(entry, error) {
+    const { batch } = entry;
+    logger.logError(error, { batchId: batch.id, phase: 'batch-write' });
+    if (FINAL_STATUSES.includes(batch.status)) return;
+
+    this.pending = this.pending.filter(item => item.batchId !== batch.id);
+    batch.status = 'failed';
+    batch.failed_at = Math.floor(Date.now() / 1000);
+    batch.errors = {
+      object: 'list',
+      data: [{ code: 'batch_write_failed', message: `Batch results could not be written: ${error.message}` }]
+    };
+
+    try {
+      this._save(batch);
+    } catch (saveError) {
+      logger.logError(saveError, { batchId: batch.id, phase: 'batch-write' });
+    }
+  }
+
+  /**
+   * Setzt den Endzustand, sobald keine Requests mehr offen sind
+   */
+  _finishIfDone(entry) {
+    const { batch } = entry;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (batch.status === 'cancelling' && entry.active === 0) {
+      batch.status = 'cancelled';
+      batch.cancelled_at = now;
+      this._save(batch);
+    } else if (batch.status === 'in_progress' && entry.done.size === batch.request_counts.total) {
+      batch.status = 'completed';
+      batch.completed_at = now;
+      this._save(batch);
+      logger.info('Batch completed', {
+        batchId: batch.id,
+        completed: batch.request_counts.completed,
+        failed: batch.request_counts.failed
+      });
+    }
+  }
+
+  /**
+   * Lädt einen Batch von der Platte und reiht offene Requests wieder ein
+   */
+  _restore(id) {
+    const batch = JSON.parse(fs.readFileSync(this._file(id, 'json'), 'utf8'));
+    const requests = fs.readFileSync(this._file(id, 'input.jsonl'), 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+
+    // Zähler aus der Ergebnis-Datei neu aufbauen (maßgeblich nach einem Absturz)
+    const done = new Set();
+    const counts = { total: requests.length, completed: 0, failed: 0 };
+    const outputFile = this._file(id, 'output.jsonl');
+    const output = fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf8') : '';
+    const validLines = [];
+    let corrupt = false;
+    for (const line of output.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const result = JSON.parse(line);
+        done.add(result.custom_id);
+        validLines.push(line);
+        if (result.response?.status_code === 200) {
+          counts.completed++;
+        } else {
+          counts.failed++;
+        }
+      } catch (error) {
+        // Unvollständige Zeile (Absturz beim Schreiben): Request wird wiederholt
+        corrupt = true;
+        logger.warn('Dropping corrupt batch result line', { batchId: id, error: error.message });
+      }
+    }
+    if (corrupt) {
+      fs.writeFileSync(outputFile, validLines.map(line => line + '\n').join(''));
+    }
+    batch.request_counts = counts;
+
+    const entry = { batch, requests, done, active: 0 };
+    this.batches.set(id, entry);
+
+    if (batch.status === 'cancelling') {
+      this._finishIfDone(entry);
+    } else if (batch.status === 'in_progress') {
+      requests.forEach((request, index) => {
+        if (!done.has(request.custom_id)) {
+          this.pending.push({ batchId: id, index });
+        }
+      });
+      this._finishIfDone(entry);
+    }
+  }
+
+  /**
+   * Speichert das Batch-Objekt atomar (temporäre Datei + rename)
+   */
+  _save(batch) {
+    const file = this._file(batch.id, 'json');
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(batch, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  _file(id, extension) {
+    return path.join(config.batch.dir, `${id}.${extension}`);
+  }
+
+  _inputError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.type = 'invalid_request_error';
+    error.code = 'invalid_batch_input';
+    return error;
+  }
+
+  _limitError(rejection) {
+    const error = new Error(rejection.message);
+    error.statusCode = 429;
+    error.type = 'rate_limit_error';
+    error.code = rejection.code;
+    return error;
+  }
+}
+
+module.exports = new BatchManager();
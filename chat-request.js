@@ -0,0 +1,163 @@
+/**
+ * Chat Completion Request Validation
+ *
+ * Checks the body of an OpenAI chat completion request (messages, tools,
+ * n, stop, response_format) without depending on Express, so the same rules
+ * apply to /v1/chat/completions and to the lines of a batch.
+ */
+
+const config = require('./config');
+const messageConverter = require('./message-converter');
+const stopSequences = require('./stop-sequences');
+const structuredOutput = require('./structured-output');
+
+/**
+ * Prüft den Body eines Chat-Completion-Requests (Messages, Tools, n, stop, response_format)
+ *
+ * Wird von der Middleware und für die Zeilen eines Batches (batch-manager.js) genutzt.
+ *
+ * @param {Object} body - Request-Body
+ * @returns {Object|null} { message, code } oder null wenn gültig
+ */
+function validateChatCompletionBody(body) {
+  const { messages } = body;
+
+  // Validierung: messages ist erforderlich
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    return {
+      message: 'messages field is required and must be a non-empty array',
+      code: 'invalid_messages'
+    };
+  }
+
+  // Validierung: Jede Message braucht role und content
+  // (Ausnahme: Assistant-Messages mit tool_calls dürfen content null haben)
+  for (let i = 0; i < messages.length; i++) {
+    const msg = messages[i];
+    const hasToolCalls = msg?.role === 'assistant' &&
+      Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+
+    if (!msg?.role || (!msg.content && !hasToolCalls)) {
+      return {
+        message: `Message at index ${i} missing required fields 'role' or 'content'`,
+        code: 'invalid_message_format'
+      };
+    }
+
+    // Validierung: role muss valide sein
+    if (!['system', 'user', 'assistant', 'tool'].includes(msg.role)) {
+      return {
+        message: `Message at index ${i} has invalid role '${msg.role}'. Must be 'system', 'user', 'assistant', or 'tool'`,
+        code: 'invalid_role'
+      };
+    }
+
+    // Validierung: Content-Parts (Text, Bilder als data URL)
+    const contentError = messageConverter.validateContent(msg.content);
+    if (contentError) {
+      return {
+        message: `Message at index ${i}: ${contentError}`,
+        code: 'invalid_content'
+      };
+    }
+
+    // Validierung: Tool-Results brauchen die ID des zugehörigen Tool-Calls
+    if (msg.role === 'tool' && !msg.tool_call_id) {
+      return {
+        message: `Message at index ${i} with role 'tool' missing required field 'tool_call_id'`,
+        code: 'invalid_message_format'
+      };
+    }
+  }
+
+  // Validierung: tools und tool_choice (OpenAI Function Calling)
+  const toolError = validateTools(body.tools, body.tool_choice);
+  if (toolError) {
+    return { message: toolError, code: 'invalid_tools' };
+  }
+
+  // Validierung: n und stop
+  const choicesError = validateChoiceOptions(body);
+  if (choicesError) {
+    return choicesError;
+  }
+
+  // Mehrere Choices können nicht dieselbe CLI-Session fortsetzen
+  if (body.n > 1 && (body.conversation_id || body.session_id)) {
+    return {
+      message: 'n > 1 is not supported together with conversation_id',
+      code: 'invalid_n'
+    };
+  }
+
+  // Validierung: response_format (JSON Mode / Structured Outputs)
+  const formatError = structuredOutput.validateResponseFormat(body.response_format);
+  if (formatError) {
+    return { message: formatError, code: 'invalid_response_format' };
+  }
+
+  return null;
+}
+
+/**
+ * Prüft n (Anzahl paralleler Completions) und stop eines Requests
+ *
+ * @returns {Object|null} { message, code } oder null wenn gültig
+ */
+function validateChoiceOptions(body) {
+  const { n } = body;
+  if (n !== undefined && (!Number.isInteger(n) || n < 1 || n > config.claude.maxChoices)) {
+    return {
+      message: `n must be an integer between 1 and ${config.claude.maxChoices}`,
+      code: 'invalid_n'
+    };
+  }
+
+  const stopError = stopSequences.validate(body.stop, 'stop');
+  if (stopError) {
+    return { message: stopError, code: 'invalid_stop' };
+  }
+
+  return null;
+}
+
+/**
+ * Prüft tools und tool_choice eines Chat Completion Requests
+ *
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validateTools(tools, toolChoice) {
+  if (tools === undefined) {
+    return toolChoice === undefined ? null : "'tool_choice' is only allowed when 'tools' are specified";
+  }
+
+  if (!Array.isArray(tools)) {
+    return "'tools' must be an array";
+  }
+
+  const names = new Set();
+  for (let i = 0; i < tools.length; i++) {
+    const tool = tools[i];
+    if (tool?.type !== 'function' || !tool.function?.name) {
+      return `Tool at index ${i} must have type 'function' and a 'function.name'`;
+    }
+    names.add(tool.function.name);
+  }
+
+  if (toolChoice === undefined || ['none', 'auto', 'required'].includes(toolChoice)) {
+    return null;
+  }
+
+  if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+    return names.has(toolChoice.function.name)
+      ? null
+      : `tool_choice references unknown function '${toolChoice.function.name}'`;
+  }
+
+  return "'tool_choice' must be 'none', 'auto', 'required' or {type: 'function', function: {name}}";
+}
+
+module.exports = {
+  validateChatCompletionBody,
+  validateChoiceOptions
+};
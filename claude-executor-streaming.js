@@ -2,137 +2,667 @@
  * Server-Sent Events Streaming Executor
  *
  * Streams Claude CLI responses in real-time via SSE (Server-Sent Events).
- * Pure pass-through streaming without parsing or buffering.
+ * Parses the CLI stream-json output and re-emits it either as OpenAI
+ * chat.completion.chunk events or as Anthropic Messages API events.
  */
 
 const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const logger = require('./logger');
+const messageConverter = require('./message-converter');
+const toolCalling = require('./tool-calling');
+const conversationStore = require('./conversation-store');
+const claudeExecutor = require('./claude-executor');
+const processQueue = require('./process-queue');
+const metrics = require('./metrics');
+const stopSequences = require('./stop-sequences');
+const workspace = require('./workspace');
+const toolActivity = require('./tool-activity');
+const usageReport = require('./usage');
+const promptScrubber = require('./prompt-scrubber');
 
 class ClaudeStreamingExecutor {
   /**
-   * Führt Claude CLI mit stream-json aus und streamt Response als SSE
+   * Führt Claude CLI mit stream-json aus und streamt Response als SSE (OpenAI-Format)
+   *
+   * Chunk-Abfolge gemäß OpenAI: erster Chunk mit role "assistant",
+   * dann inkrementelle delta.content Chunks, zuletzt ein Chunk mit finish_reason.
+   * Bei n > 1 werden die Chunks aller Choices über choices[].index unterschieden.
+   * Mit stream_options.include_usage folgt vor [DONE] ein Chunk ohne Choices
+   * mit der (erweiterten) usage; alle anderen Chunks haben usage: null.
+   *
+   * @param {Object} request - OpenAI-kompatibles Request-Objekt
+   * @param {Object} res - Express Response-Objekt für SSE Streaming
+   * @param {string} input_format - Input Format: "text" | "stream-json"
+   * @param {Object} options - requestId (X-Request-ID), signal (Abbruch über DELETE /v1/requests/:id)
+   *   und owner (API-Key, Conversations sind pro Key getrennt)
+   */
+  async executeStreaming(request, res, input_format = 'text', options = {}) {
+    const requestId = options.requestId || uuidv4();
+    const model = request.model || config.claude.defaultModel;
+
+    // Bei Tool-Calling muss die komplette Antwort gepuffert werden,
+    // da Tool-Call-Blöcke erst am Ende vollständig parsebar sind
+    const toolMode = toolCalling.isActive(request);
+    const choiceCount = request.n || 1;
+    const bufferedContent = new Array(choiceCount).fill('');
+    const includeUsage = request.stream_options?.include_usage === true;
+
+    const writeChunk = (delta, finishReason, index = 0) => {
+      // Konvertiere zu OpenAI SSE Format
+      const sseChunk = {
+        id: `chatcmpl-${requestId}`,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{
+          index: index,
+          delta: delta,
+          finish_reason: finishReason || null
+        }]
+      };
+      if (includeUsage) {
+        sseChunk.usage = null;
+      }
+
+      // Sende SSE Event
+      res.write(`data: ${JSON.stringify(sseChunk)}\n\n`);
+    };
+
+    return this._runStream(request, res, requestId, input_format, options, {
+      format: 'openai',
+
+      onStart: () => {
+        for (let index = 0; index < choiceCount; index++) {
+          writeChunk({ role: 'assistant', content: '' }, null, index);
+        }
+      },
+
+      onTextDelta: (text, index) => {
+        if (toolMode) {
+          bufferedContent[index] += text;
+          return;
+        }
+
+        writeChunk({ content: text }, null, index);
+      },
+
+      onError: (error) => {
+        res.write(`data: ${JSON.stringify({ error })}\n\n`);
+      },
+
+      onEnd: (hasError, summary) => {
+        // Fehlgeschlagene Choices erhalten keinen finish_reason
+        for (const choice of summary.choices) {
+          if (choice.hasError) continue;
+
+          if (toolMode) {
+            this._writeToolCallChunks(bufferedContent[choice.index], request, writeChunk, choice.index);
+          } else {
+            writeChunk({}, this._toFinishReason(choice.stopReason), choice.index);
+          }
+        }
+
+        if (includeUsage && summary.usage) {
+          res.write(`data: ${JSON.stringify({
+            id: `chatcmpl-${requestId}`,
+            object: 'chat.completion.chunk',
+            created: Math.floor(Date.now() / 1000),
+            model: model,
+            choices: [],
+            usage: summary.usage
+          })}\n\n`);
+        }
+
+        // Send [DONE] marker
+        res.write('data: [DONE]\n\n');
+      }
+    });
+  }
+
+  /**
+   * Führt Claude CLI mit stream-json aus und streamt Response als SSE (Legacy Completions-Format)
+   *
+   * Chunks sind text_completion Objekte mit choices[].text; mit echo wird
+   * zuerst der Prompt gesendet.
+   *
+   * @param {Object} request - OpenAI-kompatibles Chat-Request-Objekt (aus dem Completion-Request)
+   * @param {Object} res - Express Response-Objekt für SSE Streaming
+   * @param {Object} options - prompt (Original-Prompt), echo, includeUsage (stream_options.include_usage),
+   *   requestId, signal und owner (siehe executeStreaming)
+   */
+  async executeCompletionStreaming(request, res, options = {}) {
+    const requestId = options.requestId || uuidv4();
+    const model = request.model || config.claude.defaultModel;
+    const choiceCount = request.n || 1;
+
+    const writeChunk = (text, finishReason, index) => {
+      const sseChunk = {
+        id: `cmpl-${requestId}`,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{
+          text: text,
+          index: index,
+          logprobs: null,
+          finish_reason: finishReason || null
+        }]
+      };
+      if (options.includeUsage) {
+        sseChunk.usage = null;
+      }
+
+      res.write(`data: ${JSON.stringify(sseChunk)}\n\n`);
+    };
+
+    return this._runStream(request, res, requestId, 'text', options, {
+      format: 'completions',
+
+      onStart: () => {
+        if (!options.echo) return;
+        for (let index = 0; index < choiceCount; index++) {
+          writeChunk(options.prompt, null, index);
+        }
+      },
+
+      onTextDelta: (text, index) => {
+        writeChunk(text, null, index);
+      },
+
+      onError: (error) => {
+        res.write(`data: ${JSON.stringify({ error })}\n\n`);
+      },
+
+      onEnd: (hasError, summary) => {
+        for (const choice of summary.choices) {
+          if (choice.hasError) continue;
+          writeChunk('', this._toFinishReason(choice.stopReason), choice.index);
+        }
+
+        if (options.includeUsage && summary.usage) {
+          res.write(`data: ${JSON.stringify({
+            id: `cmpl-${requestId}`,
+            object: 'text_completion',
+            created: Math.floor(Date.now() / 1000),
+            model: model,
+            choices: [],
+            usage: summary.usage
+          })}\n\n`);
+        }
+
+        res.write('data: [DONE]\n\n');
+      }
+    });
+  }
+
+  /**
+   * Führt Claude CLI mit stream-json aus und streamt Response als SSE (Anthropic-Format)
+   *
+   * Event-Abfolge gemäß Anthropic Messages API:
+   * message_start → (content_block_start → content_block_delta* → content_block_stop)*
+   * → message_delta → message_stop
    *
    * @param {Object} request - OpenAI-kompatibles Request-Objekt
    * @param {Object} res - Express Response-Objekt für SSE Streaming
+   * @param {Object} options - requestId, signal und owner (siehe executeStreaming)
    */
-  async executeStreaming(request, res) {
-    const requestId = uuidv4();
+  async executeAnthropicStreaming(request, res, options = {}) {
+    const requestId = options.requestId || uuidv4();
+    const model = request.model || config.claude.defaultModel;
+
+    let blockIndex = 0;
+    let blockOpen = false;
+
+    const writeEvent = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+    };
+
+    const closeBlock = () => {
+      if (!blockOpen) return;
+      writeEvent('content_block_stop', { index: blockIndex });
+      blockOpen = false;
+      blockIndex++;
+    };
+
+    return this._runStream(request, res, requestId, 'text', options, {
+      format: 'anthropic',
+
+      onStart: () => {
+        writeEvent('message_start', {
+          message: {
+            id: `msg-chatcmpl-${requestId}`,
+            type: 'message',
+            role: 'assistant',
+            content: [],
+            model: model,
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: 0, output_tokens: 0 }
+          }
+        });
+      },
+
+      onTextDelta: (text) => {
+        // Jeder Text-Block der CLI wird zu einem eigenen Content-Block
+        if (!blockOpen) {
+          writeEvent('content_block_start', {
+            index: blockIndex,
+            content_block: { type: 'text', text: '' }
+          });
+          blockOpen = true;
+        }
+        writeEvent('content_block_delta', {
+          index: blockIndex,
+          delta: { type: 'text_delta', text: text }
+        });
+      },
+
+      onTextBlockEnd: closeBlock,
+
+      onError: (error) => {
+        writeEvent('error', {
+          error: {
+            type: 'api_error',
+            message: error.message
+          }
+        });
+      },
+
+      onEnd: (hasError, summary) => {
+        if (hasError) return;
+
+        closeBlock();
+        writeEvent('message_delta', {
+          delta: { stop_reason: summary.stopReason || 'end_turn', stop_sequence: summary.stopSequence || null },
+          usage: usageReport.toAnthropic(summary.usage)
+        });
+        writeEvent('message_stop', {});
+      }
+    });
+  }
+
+  /**
+   * Startet die Claude CLI Prozesse mit stream-json Output und verteilt
+   * die geparsten Events an die format-spezifischen Handler
+   *
+   * Bei n > 1 läuft pro Choice ein eigener Prozess; alle Choices werden
+   * über denselben SSE-Stream gesendet.
+   *
+   * @param {Object} request - OpenAI-kompatibles Request-Objekt
+   * @param {Object} res - Express Response-Objekt für SSE Streaming
+   * @param {string} requestId - ID für Logging
+   * @param {string} input_format - Input Format: "text" | "stream-json"
+   * @param {Object} options - signal (Abbruch: beendet die Claude Prozesse, Choices enden mit Fehler)
+   *   und owner (API-Key der Conversation)
+   * @param {Object} handlers - format ("openai" | "anthropic" | "completions", für Metriken) und
+   *   Callbacks: onStart, onTextDelta, onTextBlockEnd, onResult, onError, onEnd
+   *   (alle Callbacks außer onStart/onEnd erhalten zusätzlich den Choice-Index)
+   * @returns {Promise<Object|null>} Nach Stream-Ende: { usage (erweitert, siehe usage.js), stopReason, stopSequence, choices, hasError }
+   *   (null wenn nicht gestartet)
+   * @throws {Error} Vor Beginn des Streams (ungültige Conversation, Queue voll, Abbruch in der Queue)
+   */
+  async _runStream(request, res, requestId, input_format, options, handlers) {
+    const { signal, owner = null } = options;
     const startTime = Date.now();
+    const choiceCount = request.n || 1;
 
     logger.info('Starting Claude streaming execution', {
       requestId,
       model: request.model,
+      input_format,
+      choices: choiceCount,
       messageCount: request.messages?.length
     });
 
+    // Conversation: bestehende CLI-Session fortsetzen statt Verlauf neu zu senden
+    // (wirft bei ungültiger ID, bevor SSE Headers gesetzt sind)
+    const conversation = conversationStore.lookup(request, owner);
+    const resumeSessionId = conversation?.sessionId || null;
+    const cliRequest = resumeSessionId ? conversationStore.newMessagesOnly(request) : request;
+    const cwd = workspace.forRequest(request, conversation);
+
+    // Auf freien Prozess-Slot warten (begrenzte Parallelität)
+    // Fehler (Queue voll, Timeout) werden noch als JSON-Response gesendet
+    const release = await processQueue.acquire(requestId, signal);
+
+    // Client hat während der Wartezeit aufgegeben
+    if (!res.socket || res.socket.destroyed) {
+      release();
+      logger.info('Client disconnected while queued, skipping Claude process', { requestId });
+      return null;
+    }
+
+    // Abgebrochen, während der Slot vergeben wurde
+    if (signal?.aborted) {
+      release();
+      throw signal.reason;
+    }
+
     // SSE Headers setzen
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no'); // Nginx: Disable buffering
-
-    // Claude CLI Argumente
-    // Verwende TEXT Input (einfacher!) + stream-json Output
-    const args = [
-      '--print',
-      '--dangerously-skip-permissions',
-      '--output-format', 'stream-json',
-      '--verbose', // REQUIRED!
-      '--model', request.model || config.claude.defaultModel
-    ];
-
-    // Settings (max_tokens, temperature)
-    if (request.max_tokens || request.temperature !== undefined) {
-      const settings = {};
-      if (request.max_tokens) settings.maxTokens = request.max_tokens;
-      if (request.temperature !== undefined) settings.temperature = request.temperature;
-      args.push('--settings', JSON.stringify(settings));
+    if (conversation) {
+      res.setHeader('X-Conversation-ID', conversation.id);
     }
 
+    // Claude CLI Argumente: stream-json Output
+    // Bilder können nur als Content-Blocks über stream-json Input übergeben werden
+    const useStreamJsonInput = input_format === 'stream-json' || messageConverter.hasImages(cliRequest);
+    const args = claudeExecutor._buildClaudeArgs(
+      cliRequest,
+      useStreamJsonInput ? 'stream-json' : 'text',
+      'stream-json',
+      resumeSessionId
+    );
+
+    // Partial Messages: inkrementelle Text-Deltas statt kompletter Messages
+    args.push('--include-partial-messages');
+
     logger.debug('Claude CLI streaming args', { requestId, args });
 
-    // Input: Konvertiere OpenAI messages zu plain text
-    const textInput = this._convertMessagesToText(request.messages);
+    // Input: Konvertiere OpenAI messages zu plain text bzw. einer stream-json User-Message
+    // Secrets/PII werden vorher durch Platzhalter ersetzt
+    const scrubbing = promptScrubber.createSession(requestId, conversation?.scrubbing);
+    const scrubbedRequest = scrubbing.scrub(cliRequest);
+    const textInput = useStreamJsonInput
+      ? messageConverter.requestToStreamJson(scrubbedRequest)
+      : this._convertMessagesToText(scrubbedRequest);
     logger.debug('Text input', { requestId, inputLength: textInput.length });
 
+    if (handlers.onStart) {
+      handlers.onStart();
+    }
+
+    // Time-to-first-token über alle Choices nur einmal messen
+    let firstTokenSent = false;
+    const onFirstToken = () => {
+      if (firstTokenSent) return;
+      firstTokenSent = true;
+      metrics.recordTimeToFirstToken(
+        handlers.format,
+        request.model || config.claude.defaultModel,
+        Date.now() - startTime
+      );
+    };
+
+    const context = {
+      request,
+      res,
+      requestId,
+      args,
+      textInput,
+      conversation,
+      resumeSessionId,
+      cwd,
+      handlers,
+      scrubbing,
+      signal,
+      stops: stopSequences.normalize(request.stop),
+      toolActivity: toolActivity.isRequested(request),
+      onFirstToken
+    };
+
+    // Erste Choice nutzt den bereits reservierten Slot, weitere reservieren eigene
+    const choices = await Promise.all(
+      Array.from({ length: choiceCount }, (_, index) =>
+        this._runChoice(context, index, index === 0 ? Promise.resolve(release) : processQueue.acquire(requestId, signal)))
+    );
+
+    const hasError = choices.some(choice => choice.hasError);
+    const duration = Date.now() - startTime;
+
+    if (!hasError) {
+      logger.info('Claude streaming completed', {
+        requestId,
+        choices: choiceCount,
+        duration: `${duration}ms`
+      });
+    }
+
+    const summary = {
+      usage: usageReport.sum(choices.map(choice => choice.usage)),
+      stopReason: choices[0].stopReason,
+      stopSequence: choices[0].stopSequence,
+      choices,
+      hasError
+    };
+    handlers.onEnd(hasError, summary);
+    res.end();
+    return summary;
+  }
+
+  /**
+   * Führt einen Claude CLI Prozess für eine Choice aus
+   *
+   * @param {Object} context - Gemeinsamer Zustand des Streams (Args, Input, Handler, ...)
+   * @param {number} index - Choice-Index
+   * @param {Promise<Function>} slot - Reservierter Prozess-Slot (liefert release)
+   * @returns {Promise<Object>} { index, text, usage, stopReason, stopSequence, hasError }
+   */
+  async _runChoice(context, index, slot) {
+    const { request, res, requestId, handlers, conversation, resumeSessionId, signal } = context;
+    const startTime = Date.now();
+
+    let hasError = false;
+    let finished = false;
+    let stderrData = '';
+    let lineBuffer = '';
+    let resultEvent = null;
+    let stopReason = null;
+    // Gestreamter Text der Choice (für das Audit-Log)
+    let streamedText = '';
+    // Liefert die CLI Partial-Message-Events, werden komplette Messages ignoriert
+    let partialMessages = false;
+    // CLI Content-Block-Index → Block-Typ der aktuellen Message
+    let blockTypes = {};
+    // Stop-Sequenzen werden serverseitig auf die Deltas angewendet,
+    // nach der Rückübersetzung der Scrubbing-Platzhalter
+    const stopFilter = stopSequences.createStreamFilter(context.stops);
+    const restorer = context.scrubbing.createStreamRestorer();
+
+    const fail = (error) => {
+      hasError = true;
+      handlers.onError(error, index);
+
+      // Fehlgeschlagene Fortsetzung: Session nicht erneut verwenden
+      if (resumeSessionId) {
+        conversationStore.forget(conversation);
+      }
+    };
+
+    const result = () => ({
+      index,
+      text: streamedText,
+      usage: resultEvent ? usageReport.fromResult(resultEvent) : null,
+      stopReason: stopFilter.matched ? 'stop_sequence' : stopReason,
+      stopSequence: stopFilter.matched,
+      hasError
+    });
+
+    let release;
+    try {
+      release = await slot;
+    } catch (error) {
+      // Weitere Choices: Queue voll, Wartezeit überschritten oder abgebrochen
+      fail({ message: error.message, type: error.type, code: error.code });
+      return result();
+    }
+
+    // Client hat während der Wartezeit aufgegeben
+    if (!res.socket || res.socket.destroyed) {
+      release();
+      hasError = true;
+      return result();
+    }
+    if (signal?.aborted) {
+      release();
+      fail({ message: signal.reason.message, type: signal.reason.type, code: signal.reason.code });
+      return result();
+    }
+
     // Spawn Claude Prozess
-    const claudeProcess = spawn(config.claude.cliPath, args, {
+    const claudeProcess = spawn(config.claude.cliPath, context.args, {
       stdio: ['pipe', 'pipe', 'pipe'],
+      cwd: context.cwd || undefined,
       env: {
         ...process.env,
         NODE_ENV: process.env.NODE_ENV
       }
     });
 
-    let hasError = false;
-    let stderrData = '';
+    let inFlight = true;
+    metrics.processesInFlight.inc();
 
-    // STDOUT: Claude stream-json Output → SSE an Client
-    claudeProcess.stdout.on('data', (data) => {
-      const lines = data.toString().split('\n');
+    // Promise, das nach Prozess-Ende mit dem Ergebnis der Choice aufgelöst wird
+    let resolveDone;
+    const done = new Promise((resolve) => {
+      resolveDone = resolve;
+    });
 
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            // Parse JSON Line
-            const event = JSON.parse(line);
-
-            // Nur "assistant" Events verarbeiten (haben den Content)
-            if (event.type === 'assistant' && event.message) {
-              const message = event.message;
-
-              // Extrahiere Text Content
-              let content = '';
-              if (message.content && Array.isArray(message.content)) {
-                for (const block of message.content) {
-                  if (block.type === 'text') {
-                    content += block.text;
-                  }
-                }
-              }
-
-              // Konvertiere zu OpenAI SSE Format
-              const sseChunk = {
-                id: `chatcmpl-${requestId}`,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: request.model || config.claude.defaultModel,
-                choices: [{
-                  index: 0,
-                  delta: {
-                    content: content
-                  },
-                  finish_reason: message.stop_reason || null
-                }]
-              };
-
-              // Sende SSE Event
-              res.write(`data: ${JSON.stringify(sseChunk)}\n\n`);
-
-              logger.debug('Streamed assistant message', {
-                requestId,
-                contentLength: content.length,
-                stopReason: message.stop_reason
-              });
+    // Choice beenden (genau einmal, auch wenn error und close beide feuern)
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolveDone(result());
+    };
+
+    // Prozess-Slot freigeben sobald der Prozess beendet ist
+    const processDone = () => {
+      release();
+      if (inFlight) {
+        inFlight = false;
+        metrics.processesInFlight.dec();
+      }
+    };
+    claudeProcess.on('close', processDone);
+    claudeProcess.on('error', processDone);
+
+    // Text-Delta an den Handler weitergeben (misst Time-to-first-token)
+    const emitText = (text) => {
+      const out = stopFilter.push(restorer.push(text));
+      if (!out) return;
+      streamedText += out;
+      context.onFirstToken();
+      handlers.onTextDelta(out, index);
+    };
+
+    // Ende eines Text-Blocks: zurückgehaltenen Text freigeben
+    const endTextBlock = () => {
+      const rest = stopFilter.push(restorer.flush()) + stopFilter.flush();
+      if (rest) {
+        streamedText += rest;
+        context.onFirstToken();
+        handlers.onTextDelta(rest, index);
+      }
+      if (handlers.onTextBlockEnd) {
+        handlers.onTextBlockEnd(index);
+      }
+    };
+
+    // Partial-Message Event der Claude API verarbeiten (nur Text-Blocks werden gestreamt)
+    const handleStreamEvent = (streamEvent) => {
+      switch (streamEvent.type) {
+        case 'message_start':
+          blockTypes = {};
+          break;
+        case 'content_block_start':
+          blockTypes[streamEvent.index] = streamEvent.content_block?.type;
+          break;
+        case 'content_block_delta':
+          if (streamEvent.delta?.type === 'text_delta' && streamEvent.delta.text) {
+            emitText(streamEvent.delta.text);
+          }
+          break;
+        case 'content_block_stop':
+          if (blockTypes[streamEvent.index] === 'text') {
+            endTextBlock();
+          }
+          break;
+        case 'message_delta':
+          if (streamEvent.delta?.stop_reason) {
+            stopReason = streamEvent.delta.stop_reason;
+          }
+          break;
+      }
+    };
+
+    // Eine stream-json Zeile verarbeiten
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+
+      try {
+        // Parse JSON Line
+        const event = JSON.parse(line);
+
+        // Tool-Aktivität als eigene SSE Events (include_tool_activity)
+        if (context.toolActivity) {
+          for (const step of context.scrubbing.restoreValue(toolActivity.extractSteps(event, index))) {
+            res.write(`event: ${step.type}\ndata: ${JSON.stringify(step)}\n\n`);
+          }
+        }
+
+        // "stream_event" Events enthalten die Partial-Message Deltas
+        if (event.type === 'stream_event' && event.event) {
+          partialMessages = true;
+          handleStreamEvent(event.event);
+        }
+        // "assistant" Events haben den kompletten Content (Fallback ohne Partial Messages)
+        else if (event.type === 'assistant' && event.message) {
+          if (event.message.stop_reason) {
+            stopReason = event.message.stop_reason;
+          }
+          if (!partialMessages) {
+            const text = this._extractText(event.message);
+            if (text) {
+              emitText(text);
+              endTextBlock();
             }
-            // System/Result Events loggen aber nicht streamen
-            else if (event.type === 'system' || event.type === 'result') {
-              logger.debug('Received control event', {
-                requestId,
-                type: event.type,
-                subtype: event.subtype
-              });
+          }
+        }
+        // System/Result Events loggen aber nicht streamen
+        else if (event.type === 'system' || event.type === 'result') {
+          logger.debug('Received control event', {
+            requestId,
+            choice: index,
+            type: event.type,
+            subtype: event.subtype
+          });
+
+          if (event.type === 'result') {
+            resultEvent = event;
+            metrics.recordTokens(request.model || config.claude.defaultModel, event.usage);
+
+            // CLI Session-ID für den nächsten Turn merken
+            if (conversation && !event.is_error) {
+              conversationStore.save(conversation, event.session_id, context.cwd, context.scrubbing.state());
+            }
+            if (handlers.onResult) {
+              handlers.onResult(event, index);
             }
-          } catch (e) {
-            logger.warn('Failed to parse stream-json line', {
-              requestId,
-              line: line.substring(0, 100),
-              error: e.message
-            });
           }
         }
+      } catch (e) {
+        logger.warn('Failed to parse stream-json line', {
+          requestId,
+          line: line.substring(0, 100),
+          error: e.message
+        });
+      }
+    };
+
+    // STDOUT: Claude stream-json Output → SSE an Client
+    // Zeilen können über mehrere Chunks verteilt ankommen, daher puffern
+    claudeProcess.stdout.on('data', (data) => {
+      lineBuffer += data.toString();
+      const lines = lineBuffer.split('\n');
+      lineBuffer = lines.pop();
+
+      for (const line of lines) {
+        handleLine(line);
       }
     });
 
@@ -144,70 +674,70 @@ class ClaudeStreamingExecutor {
 
     // ERROR: Process spawn failed
     claudeProcess.on('error', (error) => {
-      hasError = true;
       logger.logError(error, { requestId, phase: 'spawn' });
+      metrics.processSpawnFailures.inc();
 
-      res.write(`data: ${JSON.stringify({
-        error: {
-          message: `Failed to spawn Claude process: ${error.message}`,
-          type: 'spawn_error'
-        }
-      })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
+      fail({
+        message: `Failed to spawn Claude process: ${error.message}`,
+        type: 'spawn_error'
+      });
+      finish();
     });
 
     // CLOSE: Process finished
     claudeProcess.on('close', (code) => {
       const duration = Date.now() - startTime;
 
-      if (code !== 0) {
-        hasError = true;
+      // Letzte (nicht newline-terminierte) Zeile verarbeiten
+      handleLine(lineBuffer);
+      lineBuffer = '';
+
+      signal?.removeEventListener('abort', onAbort);
+
+      if (signal?.aborted && !finished) {
+        const reason = signal.reason;
+        fail({ message: reason.message, type: reason.type, code: reason.code });
+      } else if (code !== 0 && !finished) {
         logger.error('Claude process exited with error', {
           requestId,
+          choice: index,
           code,
           stderr: stderrData,
           duration: `${duration}ms`
         });
 
-        res.write(`data: ${JSON.stringify({
-          error: {
-            message: `Claude process exited with code ${code}: ${stderrData}`,
-            type: 'execution_error',
-            code: code
-          }
-        })}\n\n`);
-      }
-
-      // Send [DONE] marker
-      res.write('data: [DONE]\n\n');
-      res.end();
-
-      if (!hasError) {
-        logger.info('Claude streaming completed', {
-          requestId,
-          duration: `${duration}ms`
+        fail({
+          message: `Claude process exited with code ${code}: ${stderrData}`,
+          type: 'execution_error',
+          code: code
         });
       }
+
+      finish();
     });
 
     // Write Input zu Claude stdin
     try {
-      claudeProcess.stdin.write(textInput);
+      claudeProcess.stdin.write(context.textInput);
       claudeProcess.stdin.end();
-      logger.debug('Input written to Claude stdin', { requestId, length: textInput.length });
+      logger.debug('Input written to Claude stdin', { requestId, length: context.textInput.length });
     } catch (error) {
       logger.logError(error, { requestId, phase: 'write-input' });
-      res.write(`data: ${JSON.stringify({
-        error: {
-          message: `Failed to write input: ${error.message}`,
-          type: 'input_error'
-        }
-      })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
+      fail({
+        message: `Failed to write input: ${error.message}`,
+        type: 'input_error'
+      });
+      finish();
     }
 
+    // Abbruch (DELETE /v1/requests/:id, Client getrennt): Prozess beenden
+    const onAbort = () => {
+      if (claudeProcess.killed) return;
+      logger.info('Request cancelled, killing Claude process', { requestId, choice: index, reason: signal.reason?.code });
+      claudeProcess.kill('SIGTERM');
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     // Cleanup on client disconnect
     res.on('close', () => {
       if (!claudeProcess.killed) {
@@ -215,28 +745,66 @@ class ClaudeStreamingExecutor {
         claudeProcess.kill('SIGTERM');
       }
     });
+
+    return done;
   }
 
   /**
-   * Konvertiert OpenAI messages Array zu plain text
-   * Kombiniert alle messages zu einem Text-String
+   * Sendet die gepufferte Antwort als OpenAI delta.tool_calls Chunks
+   */
+  _writeToolCallChunks(bufferedContent, request, writeChunk, choiceIndex = 0) {
+    const { content, toolCalls } = toolCalling.parseToolCalls(bufferedContent, request);
+
+    if (toolCalls.length === 0) {
+      writeChunk({ content: bufferedContent }, null, choiceIndex);
+      writeChunk({}, 'stop', choiceIndex);
+      return;
+    }
+
+    if (content) {
+      writeChunk({ content: content }, null, choiceIndex);
+    }
+    writeChunk({
+      tool_calls: toolCalls.map((call, index) => ({ index, ...call }))
+    }, null, choiceIndex);
+    writeChunk({}, 'tool_calls', choiceIndex);
+  }
+
+  /**
+   * Mappt Claude stop_reason auf OpenAI finish_reason
+   */
+  _toFinishReason(stopReason) {
+    switch (stopReason) {
+      case 'max_tokens':
+        return 'length';
+      case 'refusal':
+        return 'content_filter';
+      default:
+        return 'stop';
+    }
+  }
+
+  /**
+   * Extrahiert den Text-Content einer Claude Message
    */
-  _convertMessagesToText(messages) {
-    const textParts = [];
-
-    for (const msg of messages) {
-      // Role-basierte Formatierung (optional)
-      if (msg.role === 'system') {
-        textParts.push(`System: ${msg.content}`);
-      } else if (msg.role === 'user') {
-        textParts.push(msg.content);
-      } else if (msg.role === 'assistant') {
-        textParts.push(`Assistant: ${msg.content}`);
+  _extractText(message) {
+    let content = '';
+    if (message.content && Array.isArray(message.content)) {
+      for (const block of message.content) {
+        if (block.type === 'text') {
+          content += block.text;
+        }
       }
     }
+    return content;
+  }
 
-    // Join mit Newlines
-    return textParts.join('\n\n');
+  /**
+   * Konvertiert OpenAI messages Array zu plain text
+   * Kombiniert alle messages zu einem Text-String
+   */
+  _convertMessagesToText(request) {
+    return messageConverter.requestToText(request);
   }
 }
 
@@ -9,6 +9,20 @@ const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const logger = require('./logger');
+const messageConverter = require('./message-converter');
+const toolCalling = require('./tool-calling');
+const conversationStore = require('./conversation-store');
+const processQueue = require('./process-queue');
+const metrics = require('./metrics');
+const models = require('./models');
+const stopSequences = require('./stop-sequences');
+const structuredOutput = require('./structured-output');
+const workspace = require('./workspace');
+const toolPolicy = require('./tool-policy');
+const mcpServers = require('./mcp-servers');
+const toolActivity = require('./tool-activity');
+const usageReport = require('./usage');
+const promptScrubber = require('./prompt-scrubber');
 
 class ClaudeExecutor {
   /**
@@ -18,6 +32,9 @@ class ClaudeExecutor {
    * @param {Object} options - Execution Options
    * @param {string} options.input_format - Input Format: "text" | "stream-json"
    * @param {string} options.output_format - Output Format: "text" | "json" | "stream-json"
+   * @param {string} [options.requestId] - Request-ID (X-Request-ID) für Logging und Response-ID
+   * @param {AbortSignal} [options.signal] - Abbruch (Client getrennt, DELETE /v1/requests/:id)
+   * @param {string} [options.owner] - Name des API-Keys (Conversations sind pro Key getrennt)
    * @returns {Promise<Object>} OpenAI-kompatibles Response-Objekt
    */
   async execute(request, options = {}) {
@@ -30,10 +47,23 @@ class ClaudeExecutor {
     }
 
     // Defaults setzen
-    const input_format = options.input_format || 'text';
-    const output_format = options.output_format || 'json';
+    let input_format = options.input_format || 'text';
+    let output_format = options.output_format || 'json';
 
-    const requestId = uuidv4();
+    // Bilder können nur als Content-Blocks über stream-json Input an die CLI
+    // übergeben werden
+    if (messageConverter.hasImages(request)) {
+      input_format = 'stream-json';
+    }
+
+    // stream-json Input erfordert stream-json Output (wird intern zur finalen Response geparst),
+    // ebenso die Tool-Aktivität (tool_use/tool_result Events)
+    if (input_format === 'stream-json' || toolActivity.isRequested(request)) {
+      output_format = 'stream-json';
+    }
+
+    const requestId = options.requestId || uuidv4();
+    const signal = options.signal || null;
     const startTime = Date.now();
 
     logger.info('Starting Claude execution', {
@@ -44,36 +74,86 @@ class ClaudeExecutor {
       messageCount: request.messages?.length
     });
 
+    let conversation = null;
+
     try {
-      // Claude CLI Argumente zusammenstellen
-      const args = this._buildClaudeArgs(request, input_format, output_format);
-
-      // Input erstellen (abhängig vom Format)
-      const input = this._prepareInput(request, input_format);
-
-      // Claude Prozess starten
-      const response = await this._spawnClaudeProcess(
-        args,
-        input,
-        requestId
-      );
-
-      // Response in OpenAI-Format konvertieren
-      const openAiResponse = this._convertToOpenAiFormat(
-        response,
-        request.model || config.claude.defaultModel,
-        requestId
-      );
+      // Conversation: bestehende CLI-Session fortsetzen statt Verlauf neu zu senden
+      conversation = conversationStore.lookup(request, options.owner || null);
+      const resumeSessionId = conversation?.sessionId || null;
+      const cliRequest = resumeSessionId ? conversationStore.newMessagesOnly(request) : request;
+
+      // Secrets/PII durch Platzhalter ersetzen, bevor der Prompt die CLI erreicht
+      const scrubbing = promptScrubber.createSession(requestId, conversation?.scrubbing);
+      const scrubbedRequest = scrubbing.scrub(cliRequest);
+
+      // Arbeitsverzeichnis der CLI (workspace / cwd, geprüft gegen die Allowlist)
+      const cwd = workspace.forRequest(request, conversation);
+
+      // n > 1: unabhängige Completions parallel ausführen (je ein Prozess-Slot).
+      // Scheitert eine Choice, werden die übrigen abgebrochen, statt bis zum Timeout
+      // Queue-Slots und Kosten zu belegen; ein Abbruch des Requests gilt für alle.
+      const choiceCount = request.n || 1;
+      const model = request.model || config.claude.defaultModel;
+      const choicesController = new AbortController();
+      const forwardAbort = () => choicesController.abort(signal.reason);
+      if (signal?.aborted) {
+        forwardAbort();
+      } else {
+        signal?.addEventListener('abort', forwardAbort, { once: true });
+      }
+
+      let results;
+      try {
+        results = await Promise.all(
+          Array.from({ length: choiceCount }, (_, index) => this._runChoice(scrubbedRequest, index, {
+            requestId,
+            model,
+            input_format,
+            output_format,
+            resumeSessionId,
+            cwd,
+            scrubbing,
+            signal: choicesController.signal
+          }).catch((error) => {
+            choicesController.abort(error);
+            throw error;
+          }))
+        );
+      } finally {
+        signal?.removeEventListener('abort', forwardAbort);
+      }
+
+      // Response in OpenAI-Format konvertieren, Choices und Usage zusammenführen
+      const openAiResponse = this._convertToOpenAiFormat(results[0].response, model, requestId);
+      openAiResponse.choices = results.map(result => result.choice);
+      openAiResponse.usage = usageReport.sum(results.map(result => result.usage));
+
+      // Tool-Schritte des Agents (include_tool_activity)
+      if (toolActivity.isRequested(request)) {
+        openAiResponse.steps = results.flatMap(result => result.steps);
+      }
+
+      // CLI Session-ID für den nächsten Turn merken
+      if (conversation) {
+        conversationStore.save(conversation, results[0].response.session_id, cwd, scrubbing.state());
+        openAiResponse.conversation_id = conversation.id;
+      }
 
       const duration = Date.now() - startTime;
       logger.info('Claude execution completed', {
         requestId,
         duration: `${duration}ms`,
+        choices: openAiResponse.choices.length,
         finishReason: openAiResponse.choices[0]?.finish_reason
       });
 
       return openAiResponse;
     } catch (error) {
+      // Fehlgeschlagene Fortsetzung: Session nicht erneut verwenden
+      if (conversation?.sessionId) {
+        conversationStore.forget(conversation);
+      }
+
       const duration = Date.now() - startTime;
       logger.logError(error, {
         requestId,
@@ -84,13 +164,35 @@ class ClaudeExecutor {
     }
   }
 
+  /**
+   * OpenAI-Response ohne interne Felder
+   *
+   * Choices tragen intern stop_sequence für die Anthropic-Response (/v1/messages);
+   * das OpenAI-Format kennt dieses Feld nicht.
+   *
+   * @param {Object} response - Ergebnis von execute()
+   * @returns {Object} Response für OpenAI-Clients
+   */
+  toPublic(response) {
+    return {
+      ...response,
+      choices: response.choices.map(({ stop_sequence, ...choice }) => choice)
+    };
+  }
+
   /**
    * Baut die Claude CLI Argumente zusammen
+   *
+   * @param {Object} request - OpenAI-kompatibles Request-Objekt
+   * @param {string} input_format - Input Format: "text" | "stream-json"
+   * @param {string} output_format - Output Format: "text" | "json" | "stream-json"
+   * @param {string|null} resumeSessionId - CLI Session, die fortgesetzt werden soll
    */
-  _buildClaudeArgs(request, input_format, output_format) {
+  _buildClaudeArgs(request, input_format, output_format, resumeSessionId = null) {
     const args = [
       '--print', // Non-interactive mode
-      '--dangerously-skip-permissions'
+      // Tool-Berechtigungen (Permission Mode, erlaubte/verbotene Tools, max. Turns)
+      ...toolPolicy.toCliArgs(request.tool_policy)
     ];
 
     // Input Format
@@ -107,9 +209,16 @@ class ClaudeExecutor {
       args.push('--verbose');
     }
 
+    // Per Name zugeschaltete MCP Server (nur aus der Server-Konfiguration)
+    args.push(...mcpServers.toCliArgs(request.mcp_servers));
+
+    // Bestehende Session fortsetzen
+    if (resumeSessionId) {
+      args.push('--resume', resumeSessionId);
+    }
+
     // Modell setzen (Alias oder vollständiger Name)
-    const model = request.model || config.claude.defaultModel;
-    args.push('--model', model);
+    args.push('--model', models.resolve(request.model));
 
     // Max Tokens und Temperature über --settings JSON
     // Claude CLI akzeptiert diese nur über settings
@@ -133,40 +242,24 @@ class ClaudeExecutor {
    */
   _prepareInput(request, input_format) {
     if (input_format === 'stream-json') {
-      // Stream-JSON: Eine JSON-Zeile pro Message
-      const jsonLines = [];
-      for (const msg of request.messages) {
-        const messageType = msg.role === 'user' ? 'user' : 'control';
-        jsonLines.push(JSON.stringify({
-          type: messageType,
-          role: msg.role,
-          content: msg.content
-        }));
-      }
-      return jsonLines.join('\n');
+      // Stream-JSON: Verlauf als eine User-Message mit Content-Blocks pro Message
+      return messageConverter.requestToStreamJson(request);
     } else {
       // Text Format: Konvertiere messages zu Plain Text
-      const textParts = [];
-      for (const msg of request.messages) {
-        if (msg.role === 'system') {
-          textParts.push(`System: ${msg.content}`);
-        } else if (msg.role === 'user') {
-          textParts.push(msg.content);
-        } else if (msg.role === 'assistant') {
-          textParts.push(`Assistant: ${msg.content}`);
-        }
-      }
-      return textParts.join('\n\n');
+      return messageConverter.requestToText(request);
     }
   }
 
   /**
    * Startet den Claude CLI Prozess und verarbeitet die Ausgabe
+   *
+   * Bei Timeout oder Abbruch über signal wird der Prozess beendet (SIGTERM, nach 5 Sekunden SIGKILL).
    */
-  _spawnClaudeProcess(args, input, requestId) {
+  _spawnClaudeProcess(args, input, requestId, output_format = 'json', cwd = null, signal = null) {
     return new Promise((resolve, reject) => {
       const claudeProcess = spawn(config.claude.cliPath, args, {
         stdio: ['pipe', 'pipe', 'pipe'],
+        cwd: cwd || undefined,
         env: {
           ...process.env,
           NODE_ENV: process.env.NODE_ENV
@@ -177,31 +270,56 @@ class ClaudeExecutor {
       let stderr = '';
       let timeoutHandle;
       let processExited = false;
+      let inFlight = true;
+
+      metrics.processesInFlight.inc();
+
+      // In-Flight-Zähler genau einmal zurücksetzen (error und close können beide feuern)
+      const markDone = () => {
+        if (!inFlight) return;
+        inFlight = false;
+        metrics.processesInFlight.dec();
+      };
+
+      // Prozess beenden
+      const terminate = () => {
+        claudeProcess.kill('SIGTERM');
+
+        // Falls SIGTERM nicht funktioniert, nach 5 Sekunden SIGKILL
+        setTimeout(() => {
+          if (!processExited) {
+            claudeProcess.kill('SIGKILL');
+          }
+        }, 5000);
+      };
 
       // Timeout Handler
       const setupTimeout = () => {
         timeoutHandle = setTimeout(() => {
           if (!processExited) {
             logger.warn('Claude process timeout', { requestId, timeout: config.claude.timeout });
-            claudeProcess.kill('SIGTERM');
-
-            // Falls SIGTERM nicht funktioniert, nach 5 Sekunden SIGKILL
-            setTimeout(() => {
-              if (!processExited) {
-                claudeProcess.kill('SIGKILL');
-              }
-            }, 5000);
-
+            metrics.processTimeouts.inc();
+            terminate();
             reject(new Error(`Claude process timeout after ${config.claude.timeout}ms`));
           }
         }, config.claude.timeout);
       };
 
+      // Abbruch (Client getrennt, DELETE /v1/requests/:id): Prozess nicht weiterlaufen lassen
+      const onAbort = () => {
+        if (processExited) return;
+        logger.info('Request cancelled, killing Claude process', { requestId, reason: signal.reason?.code });
+        terminate();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       // Cleanup-Funktion
       const cleanup = () => {
         if (timeoutHandle) {
           clearTimeout(timeoutHandle);
         }
+        signal?.removeEventListener('abort', onAbort);
         processExited = true;
       };
 
@@ -220,6 +338,8 @@ class ClaudeExecutor {
       // Error Handler
       claudeProcess.on('error', (error) => {
         cleanup();
+        markDone();
+        metrics.processSpawnFailures.inc();
         logger.logError(error, { requestId, phase: 'spawn' });
         reject(new Error(`Failed to spawn Claude process: ${error.message}`));
       });
@@ -227,6 +347,7 @@ class ClaudeExecutor {
       // Exit Handler
       claudeProcess.on('close', (code) => {
         cleanup();
+        markDone();
 
         logger.logClaudeProcess('exit', { requestId, code, stdoutLength: stdout.length });
 
@@ -237,8 +358,11 @@ class ClaudeExecutor {
         }
 
         try {
-          // JSON Response parsen (output-format=json)
-          const response = JSON.parse(stdout);
+          // Response parsen: stream-json liefert eine Zeile pro Event,
+          // das letzte (result) Event enthält die vollständige Antwort
+          const response = output_format === 'stream-json'
+            ? this._parseStreamJson(stdout)
+            : JSON.parse(stdout);
           resolve(response);
         } catch (error) {
           logger.logError(error, {
@@ -267,26 +391,164 @@ class ClaudeExecutor {
     });
   }
 
+  /**
+   * Erzeugt eine Choice: Claude CLI ausführen und die Antwort nachbearbeiten
+   * (Stop-Sequenzen, Tool-Calls, JSON-Validierung mit Wiederholungen)
+   *
+   * @param {Object} request - OpenAI-kompatibles Request-Objekt (ggf. nur neue Messages)
+   * @param {number} index - Choice-Index
+   * @param {Object} options - requestId, model, input_format, output_format, resumeSessionId, cwd,
+   *   scrubbing (Session aus prompt-scrubber.js), signal
+   * @returns {Promise<Object>} { choice, usage (OpenAI-Format, alle Versuche), response (letzte CLI Response),
+   *   steps (Tool-Schritte aller Versuche) }
+   * @throws {Error} Wenn die Antwort auch nach allen Wiederholungen nicht dem response_format entspricht
+   */
+  async _runChoice(request, index, options) {
+    const { requestId, model, input_format, output_format, resumeSessionId, cwd, scrubbing, signal } = options;
+    const stops = stopSequences.normalize(request.stop);
+    const usage = usageReport.empty();
+    const steps = [];
+    let attemptRequest = request;
+
+    for (let attempt = 0; ; attempt++) {
+      // Claude CLI Argumente und Input (abhängig vom Format)
+      const args = this._buildClaudeArgs(attemptRequest, input_format, output_format, resumeSessionId);
+      const input = this._prepareInput(attemptRequest, input_format);
+
+      const response = await this._runQueued(args, input, requestId, output_format, cwd, signal);
+      metrics.recordTokens(model, response.usage);
+      steps.push(...(response.steps || []).map(step => ({ ...scrubbing.restoreValue(step), index })));
+
+      const converted = this._convertToOpenAiFormat(response, model, requestId);
+      const choice = { ...converted.choices[0], index };
+      usageReport.add(usage, converted.usage);
+
+      // Platzhalter zurückübersetzen (vor Stop-Sequenzen, Tool-Calls und JSON-Validierung)
+      choice.message.content = scrubbing.restore(choice.message.content);
+
+      // Stop-Sequenzen anwenden (die CLI kennt keine Stop-Sequenzen)
+      if (stops.length > 0) {
+        this._applyStopSequences(choice, stops);
+      }
+
+      // Tool-Calls aus der Antwort extrahieren (OpenAI Function Calling)
+      if (toolCalling.isActive(request)) {
+        this._applyToolCalls(choice, request);
+      }
+
+      // JSON Mode: Antwort gegen response_format prüfen (nicht bei Tool-Calls)
+      if (!structuredOutput.isActive(request) || choice.message.tool_calls) {
+        return { choice, usage, response, steps };
+      }
+
+      const validation = structuredOutput.validate(choice.message.content, request);
+      if (validation.valid) {
+        choice.message.content = validation.content;
+        return { choice, usage, response, steps };
+      }
+
+      if (attempt >= config.claude.jsonMaxRetries) {
+        const error = new Error(
+          `Model output did not match response_format after ${attempt + 1} attempt(s): ${validation.errors.join('; ')}`
+        );
+        error.statusCode = 502;
+        error.type = 'invalid_response_error';
+        error.code = 'response_format_mismatch';
+        throw error;
+      }
+
+      logger.warn('Model output did not match response_format, retrying', {
+        requestId,
+        choice: index,
+        attempt: attempt + 1,
+        errors: validation.errors
+      });
+
+      // Ungültige Antwort und Validierungsfehler als Feedback anhängen
+      attemptRequest = {
+        ...attemptRequest,
+        messages: [
+          ...attemptRequest.messages,
+          { role: 'assistant', content: scrubbing.scrubText(choice.message.content) },
+          { role: 'user', content: structuredOutput.buildRetryMessage(validation.errors) }
+        ]
+      };
+    }
+  }
+
+  /**
+   * Wartet auf einen freien Prozess-Slot und führt Claude CLI aus
+   */
+  async _runQueued(args, input, requestId, output_format, cwd = null, signal = null) {
+    // Auf freien Prozess-Slot warten (begrenzte Parallelität)
+    const release = await processQueue.acquire(requestId, signal);
+
+    // Abgebrochen, während der Slot vergeben wurde
+    if (signal?.aborted) {
+      release();
+      throw signal.reason;
+    }
+
+    try {
+      return await this._spawnClaudeProcess(args, input, requestId, output_format, cwd, signal);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Schneidet den Content einer Choice an der ersten Stop-Sequenz ab
+   * Die getroffene Sequenz wird intern als stop_sequence an der Choice vermerkt
+   * (nur für die Anthropic-Response, siehe toPublic)
+   */
+  _applyStopSequences(choice, stops) {
+    const { text, sequence } = stopSequences.truncate(choice.message.content, stops);
+
+    if (sequence !== null) {
+      choice.message.content = text;
+      choice.finish_reason = 'stop';
+      choice.stop_sequence = sequence;
+    }
+  }
+
+  /**
+   * Ersetzt Tool-Call-Blöcke im Content einer Choice durch OpenAI tool_calls
+   */
+  _applyToolCalls(choice, request) {
+    const { content, toolCalls } = toolCalling.parseToolCalls(choice.message.content, request);
+
+    if (toolCalls.length > 0) {
+      choice.message.content = content;
+      choice.message.tool_calls = toolCalls;
+      choice.finish_reason = 'tool_calls';
+    }
+  }
+
   /**
    * Parst Stream-JSON Output (mehrere JSON-Objekte, eines pro Zeile)
    */
   _parseStreamJson(output) {
     const lines = output.trim().split('\n');
     const messages = [];
+    const steps = [];
 
     for (const line of lines) {
       if (line.trim()) {
         try {
           const msg = JSON.parse(line);
           messages.push(msg);
+          steps.push(...toolActivity.extractSteps(msg));
         } catch (error) {
           logger.warn('Failed to parse stream-json line', { line, error: error.message });
         }
       }
     }
 
-    // Letztes Message-Objekt zurückgeben (enthält die vollständige Antwort)
-    return messages[messages.length - 1] || { content: '' };
+    // Letztes Message-Objekt zurückgeben (enthält die vollständige Antwort),
+    // ergänzt um die Tool-Schritte des Laufs
+    const response = messages[messages.length - 1] || { content: '' };
+    response.steps = steps;
+    return response;
   }
 
   /**
@@ -297,6 +559,7 @@ class ClaudeExecutor {
    *   "type": "result",
    *   "result": "Die eigentliche Antwort",
    *   "usage": { "input_tokens": 10, "output_tokens": 20 },
+   *   "total_cost_usd": 0.0123, "duration_ms": 5000, "num_turns": 1, "session_id": "...",
    *   ...
    * }
    */
@@ -325,10 +588,6 @@ class ClaudeExecutor {
       content = claudeResponse.message.content;
     }
 
-    // Token-Usage aus Claude Response
-    const inputTokens = claudeResponse.usage?.input_tokens || 0;
-    const outputTokens = claudeResponse.usage?.output_tokens || 0;
-
     // OpenAI-kompatible Response erstellen
     return {
       id: `chatcmpl-${requestId}`,
@@ -345,11 +604,8 @@ class ClaudeExecutor {
           finish_reason: claudeResponse.stop_reason || 'stop'
         }
       ],
-      usage: {
-        prompt_tokens: inputTokens,
-        completion_tokens: outputTokens,
-        total_tokens: inputTokens + outputTokens
-      }
+      // Token-Usage plus Kosten, Dauer, Turns und Session der CLI
+      usage: usageReport.fromResult(claudeResponse)
     };
   }
 }
@@ -5,12 +5,28 @@
  * Provides defaults for server, Claude CLI, rate limiting, authentication, and logging settings.
  */
 
+/**
+ * Kommagetrennte Liste aus einer Umgebungsvariable (null wenn leer)
+ */
+function listOrNull(value) {
+  const list = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Nicht-negative Ganzzahl aus einer Umgebungsvariable (sonst der Standardwert)
+ * Für Werte, bei denen 0 gültig ist und `parseInt(...) || x` nicht greift.
+ */
+function nonNegativeIntOr(value, fallback) {
+  return /^\s*\d+\s*$/.test(value || '') ? parseInt(value) : fallback;
+}
+
 module.exports = {
   // Server-Konfiguration
   server: {
     port: parseInt(process.env.PORT) || 3001,
     host: process.env.HOST || '0.0.0.0',
-    requestSizeLimit: process.env.REQUEST_SIZE_LIMIT || '100kb',
+    requestSizeLimit: process.env.REQUEST_SIZE_LIMIT || '10mb', // Bilder werden base64-kodiert übertragen
     shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000 // 30 Sekunden
   },
 
@@ -18,12 +34,102 @@ module.exports = {
   claude: {
     cliPath: process.env.CLAUDE_CLI_PATH || 'claude',
     defaultModel: process.env.CLAUDE_DEFAULT_MODEL || 'sonnet', // Model-Alias (sonnet, opus, haiku)
+    modelAliases: ['sonnet', 'opus', 'haiku'], // Von der Claude CLI unterstützte Aliase
+    models: (process.env.CLAUDE_MODELS || '').split(',').map(m => m.trim()).filter(Boolean), // Zusätzliche vollständige Modellnamen
     defaultMaxTokens: parseInt(process.env.CLAUDE_DEFAULT_MAX_TOKENS) || 2000,
     defaultTemperature: parseFloat(process.env.CLAUDE_DEFAULT_TEMPERATURE) || 0.3,
     timeout: parseInt(process.env.CLAUDE_TIMEOUT) || 600000, // 600 Sekunden (10 Minuten)
+    maxChoices: parseInt(process.env.CLAUDE_MAX_CHOICES) || 4, // Maximales n (parallele Completions pro Request)
+    jsonMaxRetries: nonNegativeIntOr(process.env.CLAUDE_JSON_MAX_RETRIES, 2), // Wiederholungen bei ungültigem JSON (response_format)
+    toolResultMaxLength: parseInt(process.env.CLAUDE_TOOL_RESULT_MAX_LENGTH) || 2000, // Max. Zeichen pro tool_result in steps/SSE
     noThinking: process.env.CLAUDE_NO_THINKING === 'true' // Default: false für bessere Qualität
   },
 
+  // Begrenzung paralleler Claude CLI Prozesse
+  concurrency: {
+    maxProcesses: parseInt(process.env.CLAUDE_MAX_CONCURRENCY) || 4,
+    maxQueueSize: parseInt(process.env.CLAUDE_MAX_QUEUE_SIZE) || 50,
+    maxQueueWait: parseInt(process.env.CLAUDE_MAX_QUEUE_WAIT) || 60000, // 60 Sekunden
+    rejectStatus: parseInt(process.env.CLAUDE_QUEUE_REJECT_STATUS) === 429 ? 429 : 503
+  },
+
+  // Tool-Berechtigungen der Claude CLI (global; pro API Key ersetzbar, pro Request einschränkbar)
+  toolPolicy: {
+    permissionMode: process.env.CLAUDE_PERMISSION_MODE || 'bypassPermissions', // plan | default | acceptEdits | bypassPermissions
+    allowedTools: listOrNull(process.env.CLAUDE_ALLOWED_TOOLS), // null = alle Tools
+    disallowedTools: listOrNull(process.env.CLAUDE_DISALLOWED_TOOLS),
+    maxTurns: parseInt(process.env.CLAUDE_MAX_TURNS) || null // null = unbegrenzt
+  },
+
+  // MCP Server, die Requests per Name zuschalten können (mcp_servers)
+  mcp: {
+    configFile: process.env.MCP_CONFIG_FILE || null // JSON mit { "mcpServers": { "<name>": {...} } }
+  },
+
+  // Arbeitsverzeichnisse pro Request (workspace / cwd)
+  workspace: {
+    roots: (process.env.CLAUDE_WORKSPACE_ROOTS || '').split(',').map(r => r.trim()).filter(Boolean) // Erlaubte Basisverzeichnisse; leer = deaktiviert
+  },
+
+  // Secrets/PII in Prompts durch Platzhalter ersetzen, bevor sie die Claude CLI erreichen
+  scrubbing: {
+    enabled: process.env.PROMPT_SCRUBBING_ENABLED === 'true', // Default: disabled
+    detectors: listOrNull(process.env.PROMPT_SCRUBBING_DETECTORS), // null = alle eingebauten Detektoren
+    rulesFile: process.env.PROMPT_SCRUBBING_RULES_FILE || null, // JSON mit eigenen Regex-Regeln
+    restore: process.env.PROMPT_SCRUBBING_RESTORE === 'true' // Platzhalter in der Antwort zurückübersetzen
+  },
+
+  // Stateful Conversations (conversation_id → Claude CLI Session)
+  conversations: {
+    ttl: parseInt(process.env.CONVERSATION_TTL) || 3600000, // 1 Stunde Inaktivität
+    maxEntries: parseInt(process.env.CONVERSATION_MAX_ENTRIES) || 10000
+  },
+
+  // Batch API (JSONL, asynchrone Verarbeitung)
+  batch: {
+    dir: process.env.BATCH_DIR || './data/batches', // Batch-Status, Input und Ergebnisse
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 2, // Parallel verarbeitete Batch-Requests
+    maxRequests: parseInt(process.env.BATCH_MAX_REQUESTS) || 10000, // Max. Requests pro Batch
+    maxInputSize: process.env.BATCH_MAX_INPUT_SIZE || '50mb' // Max. Größe der JSONL-Datei
+  },
+
+  // Asynchrone RCA Jobs (POST /api/rca mit async: true)
+  rcaJobs: {
+    ttl: parseInt(process.env.RCA_JOB_TTL) || 86400000, // 24 Stunden nach Abschluss abrufbar
+    maxEntries: parseInt(process.env.RCA_JOB_MAX_ENTRIES) || 1000,
+    maxPending: parseInt(process.env.RCA_JOB_MAX_PENDING) || 100, // Offene Jobs (queued/running) insgesamt
+    maxPendingPerKey: parseInt(process.env.RCA_JOB_MAX_PENDING_PER_KEY) || 10, // Offene Jobs pro API Key
+    maxWait: parseInt(process.env.RCA_JOB_MAX_WAIT) || 1800000, // 30 Minuten auf einen Prozess-Slot warten, dann failed
+    webhookSecret: process.env.RCA_WEBHOOK_SECRET || null, // HMAC-Secret; ohne Secret keine Webhooks
+    webhookAllowedHosts: (process.env.RCA_WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean), // Leer = keine Webhooks
+    webhookTimeout: parseInt(process.env.RCA_WEBHOOK_TIMEOUT) || 10000, // 10 Sekunden pro Zustellversuch
+    webhookMaxAttempts: parseInt(process.env.RCA_WEBHOOK_MAX_ATTEMPTS) || 3
+  },
+
+  // Kosten-Ledger und Budgets (pro API Key, Team und global)
+  ledger: {
+    dir: process.env.LEDGER_DIR || './data/ledger', // Ein JSONL-File pro Monat
+    budgetsFile: process.env.BUDGETS_FILE || null // JSON mit { "global": [...], "teams": {...}, "keys": {...} }
+  },
+
+  // Audit-Log (Prompts und Responses, getrennt von den Betriebs-Logs)
+  audit: {
+    enabled: process.env.AUDIT_LOG_ENABLED === 'true', // Default: disabled
+    dir: process.env.AUDIT_LOG_DIR || './data/audit',
+    redactFields: listOrNull(process.env.AUDIT_LOG_REDACT_FIELDS) || [], // Feldnamen oder Pfade (request.messages)
+    maxSize: parseInt(process.env.AUDIT_LOG_MAX_SIZE) || 104857600, // 100 MB pro Datei, danach neue Datei
+    maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES) || null, // null = unbegrenzt
+    retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 90
+  },
+
+  // Response-Cache für identische deterministische Requests (opt-in)
+  cache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED === 'true', // Default: disabled
+    ttl: parseInt(process.env.RESPONSE_CACHE_TTL) || 3600000, // 1 Stunde
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500,
+    deterministicOnly: process.env.RESPONSE_CACHE_DETERMINISTIC_ONLY !== 'false' // Nur temperature 0
+  },
+
   // Rate Limiting Konfiguration
   rateLimit: {
     enabled: process.env.RATE_LIMIT_ENABLED !== 'false', // Default: enabled
@@ -37,9 +143,15 @@ module.exports = {
   auth: {
     enabled: process.env.API_KEY_AUTH_ENABLED === 'true', // Default: disabled
     apiKey: process.env.API_KEY || null, // Setze API_KEY Umgebungsvariable
+    keysFile: process.env.API_KEYS_FILE || null, // JSON-Datei mit mehreren Keys (siehe api-keys.js)
     headerName: process.env.API_KEY_HEADER || 'X-API-Key'
   },
 
+  // Prometheus Metriken (GET /metrics)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false' // Default: enabled
+  },
+
   // Logging-Konfiguration
   logging: {
     level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
@@ -0,0 +1,132 @@
+/**
+ * Conversation Store
+ *
+ * Maps client-supplied conversation ids to Claude CLI session ids, so that
+ * follow-up turns can be continued with `--resume` instead of replaying the
+ * whole transcript. Entries are kept in memory with a TTL and a size bound.
+ *
+ * Conversations belong to the API key that started them: ids are namespaced
+ * per key, so another key using the same conversation_id starts its own
+ * conversation instead of resuming a foreign CLI session.
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+class ConversationStore {
+  constructor() {
+    // Key-Name + conversationId → { owner, sessionId, workspace, scrubbing, updatedAt }
+    this.conversations = new Map();
+  }
+
+  /**
+   * Ermittelt die Conversation eines Requests
+   *
+   * @param {Object} request - Request-Objekt mit optional conversation_id / session_id
+   * @param {string|null} owner - Name des API-Keys (null ohne Authentifizierung)
+   * @returns {Object|null} { id, owner, sessionId, workspace, scrubbing } oder null wenn keine Conversation angegeben
+   * @throws {Error} Bei ungültiger Conversation-ID (statusCode 400)
+   */
+  lookup(request, owner = null) {
+    const id = request.conversation_id || request.session_id;
+    if (id === undefined || id === null) {
+      return null;
+    }
+
+    if (typeof id !== 'string' || !CONVERSATION_ID_PATTERN.test(id)) {
+      const error = new Error('conversation_id must be a string of 1-128 characters [A-Za-z0-9._:-]');
+      error.statusCode = 400;
+      error.type = 'invalid_request_error';
+      error.code = 'invalid_conversation_id';
+      throw error;
+    }
+
+    const key = storeKey(owner, id);
+    const entry = this.conversations.get(key);
+    if (entry && Date.now() - entry.updatedAt > config.conversations.ttl) {
+      this.conversations.delete(key);
+      return { id, owner, sessionId: null, workspace: null, scrubbing: null };
+    }
+
+    // Fremde Conversation wie eine unbekannte behandeln
+    if (entry && entry.owner !== owner) {
+      logger.warn('Conversation owned by another API key, starting a new session', { conversationId: id, owner });
+      return { id, owner, sessionId: null, workspace: null, scrubbing: null };
+    }
+
+    return {
+      id,
+      owner,
+      sessionId: entry?.sessionId || null,
+      workspace: entry?.workspace || null,
+      scrubbing: entry?.scrubbing || null
+    };
+  }
+
+  /**
+   * Speichert die CLI Session-ID nach einem erfolgreichen Turn
+   *
+   * @param {Object} conversation - Ergebnis von lookup()
+   * @param {string} sessionId - CLI Session-ID
+   * @param {string|null} workspace - Arbeitsverzeichnis der Session
+   * @param {Object|null} scrubbing - Platzhalter-Zuordnung (state() aus prompt-scrubber.js)
+   */
+  save(conversation, sessionId, workspace = null, scrubbing = null) {
+    if (!sessionId) {
+      logger.warn('No session id in Claude result, conversation not stored', { conversationId: conversation.id });
+      return;
+    }
+
+    // Re-Insert, damit die Map nach letzter Nutzung sortiert bleibt
+    const key = storeKey(conversation.owner, conversation.id);
+    this.conversations.delete(key);
+    this.conversations.set(key, { owner: conversation.owner, sessionId, workspace, scrubbing, updatedAt: Date.now() });
+
+    // Älteste Einträge verwerfen
+    while (this.conversations.size > config.conversations.maxEntries) {
+      const oldestId = this.conversations.keys().next().value;
+      this.conversations.delete(oldestId);
+    }
+  }
+
+  /**
+   * Entfernt eine Conversation (z.B. wenn die CLI-Session nicht mehr fortgesetzt werden kann)
+   */
+  forget(conversation) {
+    this.conversations.delete(storeKey(conversation.owner, conversation.id));
+  }
+
+  /**
+   * Reduziert den Request auf die neuen Messages eines Turns
+   *
+   * Die CLI-Session enthält bereits den bisherigen Verlauf, daher werden nur
+   * die Messages nach der letzten Assistant-Message gesendet. Clients können
+   * so wahlweise den vollständigen Verlauf oder nur die neue Message schicken.
+   */
+  newMessagesOnly(request) {
+    const messages = request.messages;
+    let lastAssistant = -1;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (messages[i].role === 'assistant') {
+        lastAssistant = i;
+        break;
+      }
+    }
+
+    return {
+      ...request,
+      messages: messages.slice(lastAssistant + 1)
+    };
+  }
+}
+
+/**
+ * Schlüssel in der Map: Conversation-IDs sind pro API-Key getrennt
+ */
+function storeKey(owner, id) {
+  return JSON.stringify([owner, id]);
+}
+
+module.exports = new ConversationStore();
@@ -0,0 +1,363 @@
+/**
+ * Cost Ledger and Budgets
+ *
+ * Records the usage (tokens, cost_usd) of every Claude CLI run in a durable
+ * JSONL ledger (one file per month under LEDGER_DIR) and enforces daily and
+ * monthly budgets in USD or tokens per API key, per team and globally. A hard
+ * limit rejects further requests until the period resets, a soft limit only
+ * logs a warning. Periods are UTC days / months; the current month is replayed
+ * from the ledger on startup.
+ *
+ * Budget file format (BUDGETS_FILE):
+ * {
+ *   "global": [{ "period": "monthly", "unit": "usd", "hard": 500, "soft": 400 }],
+ *   "teams": { "sre": [{ "period": "daily", "unit": "tokens", "hard": 5000000 }] },
+ *   "keys": { "team-rca": [{ "period": "daily", "unit": "usd", "soft": 20 }] }
+ * }
+ *
+ * Keys are assigned to a team with "team": "sre" in the API key file. Costs
+ * are only known after a run, so the request that crosses a hard limit still
+ * completes; the following ones are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+const PERIODS = ['daily', 'monthly'];
+const UNITS = ['usd', 'tokens'];
+
+class CostLedger {
+  constructor() {
+    // Scope-ID ("global", "team:<name>", "key:<name>") → Budgets
+    this.budgets = new Map();
+    // Scope-ID → { daily: { period, usd, tokens }, monthly: { period, usd, tokens } }
+    this.totals = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Lädt die Budgets aus der Budget-Datei
+   */
+  load() {
+    this.budgets.clear();
+
+    if (!config.ledger.budgetsFile) return;
+
+    const content = JSON.parse(fs.readFileSync(config.ledger.budgetsFile, 'utf8'));
+    this._addBudgets('global', content.global);
+    for (const [team, budgets] of Object.entries(content.teams || {})) {
+      this._addBudgets(`team:${team}`, budgets);
+    }
+    for (const [key, budgets] of Object.entries(content.keys || {})) {
+      this._addBudgets(`key:${key}`, budgets);
+    }
+
+    logger.info('Budgets loaded', { file: config.ledger.budgetsFile, scopes: this.budgets.size });
+  }
+
+  /**
+   * Liest die Ausgaben des laufenden Monats aus dem Ledger
+   */
+  start() {
+    fs.mkdirSync(config.ledger.dir, { recursive: true });
+
+    const file = this._file(currentPeriod('monthly'));
+    let entries = 0;
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this._apply(JSON.parse(line), false);
+          entries++;
+        } catch (error) {
+          // Abgeschnittene Zeile (Absturz während des Schreibens)
+          logger.warn('Skipping invalid ledger line', { file });
+        }
+      }
+    }
+
+    logger.info('Cost ledger loaded', { file, entries });
+  }
+
+  /**
+   * Prüft die harten Budgets aller Scopes eines Keys (global, Team, Key)
+   *
+   * @param {Object|undefined} apiKey - Key-Eintrag (req.apiKey)
+   * @returns {Object|null} Ablehnungsgrund { code, message, retryAfter } oder null
+   */
+  check(apiKey) {
+    for (const scope of scopesFor(apiKey?.name, apiKey?.team)) {
+      for (const budget of this.budgets.get(scope) || []) {
+        if (!budget.hard) continue;
+
+        const spent = this._spent(scope, budget);
+        if (spent >= budget.hard) {
+          return {
+            code: 'budget_exceeded',
+            message: `${capitalize(budget.period)} ${unitLabel(budget.unit)} budget of ${budget.hard} ` +
+              `for ${scopeLabel(scope)} exceeded (spent ${spent})`,
+            retryAfter: Math.ceil((periodEnd(budget.period) - Date.now()) / 1000)
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Verbucht die Usage eines abgeschlossenen Claude-Laufs im Ledger
+   *
+   * @param {Object|undefined} apiKey - Key-Eintrag (req.apiKey)
+   * @param {Object|undefined} usage - OpenAI usage ({ total_tokens, cost_usd }) oder Claude usage ({ input_tokens, output_tokens, cost_usd })
+   * @param {Object} details - { requestId, model } für den Ledger-Eintrag
+   */
+  record(apiKey, usage, details = {}) {
+    if (!usage) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      request_id: details.requestId || null,
+      api_key: apiKey?.name || null,
+      team: apiKey?.team || null,
+      model: details.model || null,
+      tokens: usage.total_tokens ?? ((usage.input_tokens || 0) + (usage.output_tokens || 0)),
+      cost_usd: usage.cost_usd || 0
+    };
+
+    try {
+      fs.appendFileSync(this._file(entry.timestamp.substring(0, 7)), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      // Request ist bereits beantwortet; Ausgaben trotzdem im Speicher zählen
+      logger.logError(error, { phase: 'ledger-write', requestId: entry.request_id });
+    }
+
+    this._apply(entry, true);
+  }
+
+  /**
+   * Aktuelle Ausgaben und Budgets pro Scope
+   *
+   * @param {Object|null} apiKey - Nur global, Team und Key dieses Keys; null = alle Scopes
+   * @returns {Array<Object>} { scope, name, spend, budgets }
+   */
+  report(apiKey) {
+    const scopes = apiKey
+      ? scopesFor(apiKey.name, apiKey.team)
+      : [...new Set(['global', ...this.budgets.keys(), ...this.totals.keys()])];
+
+    return scopes.map(scope => {
+      const [type, ...name] = scope.split(':');
+      const totals = this._totals(scope);
+
+      return {
+        scope: type,
+        name: name.join(':') || null,
+        spend: {
+          daily: { ...totals.daily, usd: roundUsd(totals.daily.usd) },
+          monthly: { ...totals.monthly, usd: roundUsd(totals.monthly.usd) }
+        },
+        budgets: (this.budgets.get(scope) || []).map(budget => {
+          const spent = this._spent(scope, budget);
+          return {
+            ...budget,
+            spent,
+            remaining: budget.hard ? Math.max(0, roundUsd(budget.hard - spent)) : null,
+            status: budget.hard && spent >= budget.hard ? 'exceeded'
+              : budget.soft && spent >= budget.soft ? 'warning' : 'ok',
+            resets_at: new Date(periodEnd(budget.period)).toISOString()
+          };
+        })
+      };
+    });
+  }
+
+  /**
+   * Statistiken für /health
+   */
+  stats() {
+    const global = this._totals('global');
+    return {
+      budgets: [...this.budgets.values()].reduce((count, budgets) => count + budgets.length, 0),
+      dailyUsd: roundUsd(global.daily.usd),
+      monthlyUsd: roundUsd(global.monthly.usd)
+    };
+  }
+
+  /**
+   * Addiert einen Ledger-Eintrag auf alle betroffenen Scopes
+   *
+   * @param {Object} entry - Ledger-Eintrag
+   * @param {boolean} warn - Überschrittene Schwellen loggen (nicht beim Einlesen)
+   */
+  _apply(entry, warn) {
+    for (const scope of scopesFor(entry.api_key, entry.team)) {
+      const totals = this._totals(scope);
+      const before = warn ? this._budgetStates(scope) : null;
+
+      for (const period of PERIODS) {
+        // Beim Einlesen zählen ältere Tage nicht zum Tagesbudget
+        if (entry.timestamp.startsWith(totals[period].period)) {
+          totals[period].usd += entry.cost_usd || 0;
+          totals[period].tokens += entry.tokens || 0;
+        }
+      }
+
+      if (warn) {
+        this._warnOnThresholds(scope, before, entry);
+      }
+    }
+  }
+
+  /**
+   * Loggt Budgets, deren Soft- oder Hard-Limit durch den Eintrag erreicht wurde
+   */
+  _warnOnThresholds(scope, before, entry) {
+    (this.budgets.get(scope) || []).forEach((budget, index) => {
+      const spent = this._spent(scope, budget);
+      for (const limit of ['soft', 'hard']) {
+        if (budget[limit] && before[index] < budget[limit] && spent >= budget[limit]) {
+          logger.warn(limit === 'hard' ? 'Hard budget exceeded, further requests are rejected' : 'Soft budget exceeded', {
+            scope: scopeLabel(scope),
+            period: budget.period,
+            unit: budget.unit,
+            limit: budget[limit],
+            spent,
+            requestId: entry.request_id
+          });
+        }
+      }
+    });
+  }
+
+  _budgetStates(scope) {
+    return (this.budgets.get(scope) || []).map(budget => this._spent(scope, budget));
+  }
+
+  _spent(scope, budget) {
+    const totals = this._totals(scope)[budget.period];
+    return budget.unit === 'usd' ? roundUsd(totals.usd) : totals.tokens;
+  }
+
+  /**
+   * Summen eines Scopes; abgelaufene Perioden werden zurückgesetzt
+   */
+  _totals(scope) {
+    let totals = this.totals.get(scope);
+    if (!totals) {
+      totals = {};
+      this.totals.set(scope, totals);
+    }
+
+    for (const period of PERIODS) {
+      const current = currentPeriod(period);
+      if (totals[period]?.period !== current) {
+        totals[period] = { period: current, usd: 0, tokens: 0 };
+      }
+    }
+    return totals;
+  }
+
+  _addBudgets(scope, budgets) {
+    if (budgets === undefined) return;
+
+    if (!Array.isArray(budgets)) {
+      throw new Error(`Budgets for ${scopeLabel(scope)} must be an array`);
+    }
+
+    const valid = budgets.map(budget => {
+      const error = validateBudget(budget);
+      if (error) {
+        throw new Error(`Invalid budget for ${scopeLabel(scope)}: ${error}`);
+      }
+      return {
+        period: budget.period,
+        unit: budget.unit,
+        hard: budget.hard ?? null,
+        soft: budget.soft ?? null
+      };
+    });
+    this.budgets.set(scope, valid);
+  }
+
+  _file(month) {
+    return path.join(config.ledger.dir, `${month}.jsonl`);
+  }
+}
+
+/**
+ * Prüft ein Budget aus der Budget-Datei
+ *
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    return 'each budget must be an object';
+  }
+  if (!PERIODS.includes(budget.period)) {
+    return `period must be one of: ${PERIODS.join(', ')}`;
+  }
+  if (!UNITS.includes(budget.unit)) {
+    return `unit must be one of: ${UNITS.join(', ')}`;
+  }
+  if (budget.hard === undefined && budget.soft === undefined) {
+    return 'a hard or soft limit is required';
+  }
+  for (const limit of ['hard', 'soft']) {
+    if (budget[limit] !== undefined && !(typeof budget[limit] === 'number' && budget[limit] > 0)) {
+      return `${limit} must be a positive number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scopes, auf die ein Key bucht: global, Team (falls gesetzt), Key (falls vorhanden)
+ */
+function scopesFor(keyName, team) {
+  const scopes = ['global'];
+  if (team) scopes.push(`team:${team}`);
+  if (keyName) scopes.push(`key:${keyName}`);
+  return scopes;
+}
+
+function scopeLabel(scope) {
+  if (scope === 'global') return 'global';
+  const [type, ...name] = scope.split(':');
+  return `${type === 'key' ? 'API key' : 'team'} '${name.join(':')}'`;
+}
+
+function unitLabel(unit) {
+  return unit === 'usd' ? 'USD' : 'token';
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Laufende Periode: "2026-10-19" (daily) bzw. "2026-10" (monthly), UTC
+ */
+function currentPeriod(period) {
+  return new Date().toISOString().substring(0, period === 'daily' ? 10 : 7);
+}
+
+/**
+ * Ende der laufenden Periode (UTC Mitternacht bzw. Monatserster) in ms
+ */
+function periodEnd(period) {
+  const now = new Date();
+  return period === 'daily'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+// Auf Mikro-Dollar runden (Gleitkomma-Fehler beim Summieren)
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = new CostLedger();
@@ -0,0 +1,45 @@
+/**
+ * API Errors
+ *
+ * Request checks (workspace, tool policy, MCP servers) throw errors that carry
+ * the HTTP status, error type and code. Middlewares send them in the common
+ * error format { error: { message, type, code } }.
+ */
+
+/**
+ * Erzeugt einen Fehler mit HTTP-Status, Fehlertyp und Code
+ *
+ * @param {number} statusCode - HTTP-Status der Fehler-Response
+ * @param {string} type - Fehlertyp (z.B. invalid_request_error, permission_error)
+ * @param {string} code - Maschinenlesbarer Fehlercode
+ * @param {string} message - Fehlermeldung
+ * @returns {Error}
+ */
+function createError(statusCode, type, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = type;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Sendet einen Fehler aus createError() als Fehler-Response
+ *
+ * @param {Object} res - Express Response
+ * @param {Error} error - Fehler mit statusCode, type und code
+ */
+function sendError(res, error) {
+  res.status(error.statusCode).json({
+    error: {
+      message: error.message,
+      type: error.type,
+      code: error.code
+    }
+  });
+}
+
+module.exports = {
+  createError,
+  sendError
+};
@@ -78,6 +78,7 @@ logger.logResponse = (req, res, responseTime, additionalInfo = {}) => {
     statusCode: res.statusCode,
     responseTime: `${responseTime}ms`,
     requestId: req.id,
+    apiKey: req.apiKey?.name,
     ...additionalInfo
   });
 };
@@ -0,0 +1,116 @@
+/**
+ * MCP Server Registry
+ *
+ * Named MCP server configurations (log search, metrics query, ...) defined
+ * server-side in MCP_CONFIG_FILE. Requests attach them by name with
+ * `mcp_servers`; the executors pass only the selected entries to the CLI via
+ * `--mcp-config` together with `--strict-mcp-config`, so callers can neither
+ * inject their own commands nor reach MCP servers configured for the host user.
+ *
+ * Config file format (same as the CLI's --mcp-config):
+ * {
+ *   "mcpServers": {
+ *     "logsearch": { "command": "node", "args": ["/opt/mcp/logsearch.js"], "env": { "ES_URL": "..." } },
+ *     "metrics": { "type": "http", "url": "http://metrics-mcp.internal:8080/mcp" }
+ *   }
+ * }
+ *
+ * API keys can be limited to some of them with "mcpServers": ["logsearch"] in the key file.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+const { createError } = require('./errors');
+
+class McpServerRegistry {
+  constructor() {
+    // Name → Server-Konfiguration
+    this.servers = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Lädt die MCP Server aus der Konfigurationsdatei
+   */
+  load() {
+    this.servers.clear();
+
+    if (!config.mcp.configFile) return;
+
+    const content = JSON.parse(fs.readFileSync(config.mcp.configFile, 'utf8'));
+    for (const [name, server] of Object.entries(content.mcpServers || {})) {
+      if (!server || typeof server !== 'object' || (!server.command && !server.url)) {
+        throw new Error(`MCP server '${name}' needs a command (stdio) or a url (http/sse)`);
+      }
+      this.servers.set(name, server);
+    }
+
+    logger.info('MCP servers loaded', { file: config.mcp.configFile, servers: this.names() });
+  }
+
+  /**
+   * Namen aller konfigurierten MCP Server
+   */
+  names() {
+    return [...this.servers.keys()];
+  }
+
+  /**
+   * Prüft die angefragten MCP Server eines Requests
+   *
+   * @param {*} requested - mcp_servers aus dem Request
+   * @param {Object|undefined} apiKey - Key-Eintrag (req.apiKey)
+   * @returns {string[]|undefined} Eindeutige Server-Namen (undefined wenn keine angefragt)
+   * @throws {Error} Ungültige/unbekannte Namen (statusCode 400) oder für den Key nicht erlaubt (statusCode 403)
+   */
+  resolve(requested, apiKey) {
+    if (requested === undefined || requested === null) return undefined;
+
+    if (!Array.isArray(requested) || !requested.every(name => typeof name === 'string')) {
+      throw createError(400, 'invalid_request_error', 'invalid_mcp_servers', 'mcp_servers must be an array of server names');
+    }
+
+    const names = [...new Set(requested)];
+
+    const unknown = names.filter(name => !this.servers.has(name));
+    if (unknown.length > 0) {
+      throw createError(400, 'invalid_request_error', 'unknown_mcp_server',
+        `Unknown MCP server(s): ${unknown.join(', ')}. Available: ${this.names().join(', ') || 'none'}`);
+    }
+
+    if (apiKey?.mcpServers) {
+      const forbidden = names.filter(name => !apiKey.mcpServers.includes(name));
+      if (forbidden.length > 0) {
+        throw createError(403, 'permission_error', 'mcp_server_not_allowed',
+          `API key '${apiKey.name}' is not allowed to use MCP server(s): ${forbidden.join(', ')}`);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Übersetzt die ausgewählten MCP Server in Claude CLI Argumente
+   *
+   * @param {string[]|undefined} names - Geprüfte Server-Namen
+   * @returns {string[]} CLI Argumente (leer ohne MCP Server)
+   */
+  toCliArgs(names) {
+    if (!names || names.length === 0) return [];
+
+    const mcpServers = {};
+    for (const name of names) {
+      const server = this.servers.get(name);
+      if (!server) {
+        throw createError(400, 'invalid_request_error', 'unknown_mcp_server', `Unknown MCP server: ${name}`);
+      }
+      mcpServers[name] = server;
+    }
+
+    return ['--mcp-config', JSON.stringify({ mcpServers }), '--strict-mcp-config'];
+  }
+}
+
+module.exports = new McpServerRegistry();
@@ -0,0 +1,230 @@
+/**
+ * Message Conversion for Claude CLI Input
+ *
+ * Flattens OpenAI-style and Anthropic-style message arrays (including
+ * assistant tool calls, tool results and multimodal content parts) into the
+ * transcript passed to the Claude CLI, either as plain text or as a
+ * stream-json user message that keeps one set of content blocks per message.
+ */
+
+const toolCalling = require('./tool-calling');
+const structuredOutput = require('./structured-output');
+
+// Von der Claude API unterstützte Bildformate
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.+)$/s;
+
+/**
+ * Konvertiert einen einzelnen Content-Part (OpenAI oder Anthropic) zu einem Claude Content-Block
+ *
+ * @throws {Error} Bei nicht unterstützten Parts oder Bildquellen
+ */
+function partToBlock(part) {
+  if (typeof part === 'string') {
+    return { type: 'text', text: part };
+  }
+
+  if (part?.type === 'text') {
+    return { type: 'text', text: part.text || '' };
+  }
+
+  // OpenAI: {type: 'image_url', image_url: {url: 'data:image/png;base64,...'}}
+  if (part?.type === 'image_url') {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    const match = DATA_URL_PATTERN.exec(url || '');
+    if (!match) {
+      throw new Error('image_url must be a base64 data URL (data:image/...;base64,...); remote URLs are not supported');
+    }
+    return imageBlock(match[1], match[2]);
+  }
+
+  // Anthropic: {type: 'image', source: {type: 'base64', media_type, data}}
+  if (part?.type === 'image') {
+    if (part.source?.type !== 'base64' || !part.source.data) {
+      throw new Error("image source must be of type 'base64' with 'data'; remote URLs are not supported");
+    }
+    return imageBlock(part.source.media_type, part.source.data);
+  }
+
+  throw new Error(`Unsupported content part type '${part?.type}'`);
+}
+
+/**
+ * Erstellt einen Claude Image-Block mit base64-Daten
+ */
+function imageBlock(mediaType, data) {
+  if (!SUPPORTED_IMAGE_TYPES.includes(mediaType)) {
+    throw new Error(`Unsupported image media type '${mediaType}'. Must be one of: ${SUPPORTED_IMAGE_TYPES.join(', ')}`);
+  }
+
+  return {
+    type: 'image',
+    source: {
+      type: 'base64',
+      media_type: mediaType,
+      data: data
+    }
+  };
+}
+
+/**
+ * Konvertiert message.content (String oder Array von Parts) zu Content-Blocks
+ */
+function contentToBlocks(content) {
+  if (content === null || content === undefined) {
+    return [];
+  }
+  if (Array.isArray(content)) {
+    return content.map(partToBlock);
+  }
+  return [{ type: 'text', text: String(content) }];
+}
+
+/**
+ * Prüft den Content einer Message
+ *
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validateContent(content) {
+  try {
+    contentToBlocks(content);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Prüft ob eine der Messages Bilder enthält
+ */
+function hasImages(request) {
+  return (request.messages || []).some(msg =>
+    Array.isArray(msg.content) &&
+    msg.content.some(part => part?.type === 'image_url' || part?.type === 'image')
+  );
+}
+
+/**
+ * Rendert den Request als Content-Blocks pro Message (Text mit Rollen-Präfix, Bilder)
+ *
+ * @returns {Array<Array<Object>>} Eine Block-Liste pro Message
+ */
+function renderTranscript(request) {
+  const messageBlocks = [];
+
+  if (toolCalling.isActive(request)) {
+    messageBlocks.push([{ type: 'text', text: `System: ${toolCalling.buildInstructions(request)}` }]);
+  }
+
+  if (structuredOutput.isActive(request)) {
+    messageBlocks.push([{ type: 'text', text: `System: ${structuredOutput.buildInstructions(request)}` }]);
+  }
+
+  // Tool-Namen für Tool-Results nachschlagen (tool_call_id → Funktionsname)
+  const toolNames = {};
+
+  for (const msg of request.messages) {
+    const blocks = contentToBlocks(msg.content);
+    let prefix = '';
+
+    // Role-basierte Formatierung
+    if (msg.role === 'system') {
+      prefix = 'System: ';
+    } else if (msg.role === 'assistant') {
+      prefix = 'Assistant: ';
+      if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+        for (const call of msg.tool_calls) {
+          toolNames[call.id] = call.function?.name;
+        }
+        blocks.push({ type: 'text', text: toolCalling.formatToolCalls(msg.tool_calls) });
+      }
+    } else if (msg.role === 'tool') {
+      const name = msg.name || toolNames[msg.tool_call_id] || 'unknown';
+      prefix = `Tool result (${name}, call ${msg.tool_call_id}): `;
+    } else if (msg.role !== 'user') {
+      continue;
+    }
+
+    messageBlocks.push(mergeTextBlocks(blocks, '\n', prefix));
+  }
+
+  return messageBlocks;
+}
+
+/**
+ * Fasst aufeinanderfolgende Text-Blocks zusammen
+ * Optional wird dem ersten Text ein Präfix vorangestellt
+ */
+function mergeTextBlocks(blocks, separator, prefix = '') {
+  const merged = [];
+
+  if (prefix && blocks[0]?.type !== 'text') {
+    blocks = [{ type: 'text', text: '' }, ...blocks];
+  }
+
+  for (const block of blocks) {
+    const last = merged[merged.length - 1];
+    if (block.type === 'text' && last?.type === 'text') {
+      last.text += separator + block.text;
+    } else {
+      merged.push({ ...block });
+    }
+  }
+
+  if (prefix) {
+    merged[0].text = prefix + merged[0].text;
+  }
+
+  return merged;
+}
+
+/**
+ * Konvertiert einen OpenAI-kompatiblen Request zu plain text
+ * Kombiniert Tool-Anweisungen und alle messages zu einem Text-String
+ *
+ * @param {Object} request - OpenAI-kompatibles Request-Objekt
+ * @returns {string} Text-Transkript für Claude CLI stdin
+ */
+function requestToText(request) {
+  // Messages mit Leerzeile trennen
+  return renderTranscript(request)
+    .flat()
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+}
+
+/**
+ * Konvertiert einen Request zu einer stream-json User-Message
+ *
+ * Einschränkung der CLI: stream-json Input akzeptiert nur Messages vom Typ
+ * "user", und jede Zeile startet einen eigenen Turn mit eigener Antwort.
+ * System-, Assistant- und Tool-Messages lassen sich so nicht mit ihrer Rolle
+ * übergeben. Der Verlauf wird deshalb wie im Text-Modus als Transkript mit
+ * Rollen-Präfix in einer Message gesendet; jede Original-Message bleibt ein
+ * eigener Content-Block, Bilder bleiben echte Image-Blocks. Echte Rollen über
+ * mehrere Turns gibt es nur mit conversation_id (CLI-Session mit --resume).
+ *
+ * @param {Object} request - OpenAI-kompatibles Request-Objekt
+ * @returns {string} Eine JSON-Zeile für Claude CLI stdin (--input-format stream-json)
+ */
+function requestToStreamJson(request) {
+  return JSON.stringify({
+    type: 'user',
+    message: {
+      role: 'user',
+      // Leere Text-Blocks werden von der Claude API abgelehnt
+      content: renderTranscript(request)
+        .flat()
+        .filter(block => block.type !== 'text' || block.text)
+    }
+  });
+}
+
+module.exports = {
+  SUPPORTED_IMAGE_TYPES,
+  validateContent,
+  hasImages,
+  requestToText,
+  requestToStreamJson
+};
@@ -0,0 +1,134 @@
+/**
+ * Prometheus Metrics
+ *
+ * Collects HTTP request metrics, streaming time-to-first-token, Claude CLI
+ * process metrics (spawn failures, timeouts, in-flight count, queue depth)
+ * and token usage. Exposed in Prometheus text format via GET /metrics.
+ */
+
+const client = require('prom-client');
+const config = require('./config');
+const processQueue = require('./process-queue');
+const models = require('./models');
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: 'claude-code-api' });
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Total number of HTTP requests',
+  labelNames: ['method', 'route', 'status', 'model'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+  registers: [register]
+});
+
+const streamTimeToFirstToken = new client.Histogram({
+  name: 'claude_stream_time_to_first_token_seconds',
+  help: 'Time from start of a streaming request until the first content is sent',
+  labelNames: ['format', 'model'],
+  buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60],
+  registers: [register]
+});
+
+const processSpawnFailures = new client.Counter({
+  name: 'claude_process_spawn_failures_total',
+  help: 'Number of Claude CLI processes that failed to start',
+  registers: [register]
+});
+
+const processTimeouts = new client.Counter({
+  name: 'claude_process_timeouts_total',
+  help: 'Number of Claude CLI processes killed after exceeding the timeout',
+  registers: [register]
+});
+
+const processesInFlight = new client.Gauge({
+  name: 'claude_processes_in_flight',
+  help: 'Number of currently running Claude CLI processes',
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'claude_queue_depth',
+  help: 'Number of requests waiting for a free Claude CLI process',
+  registers: [register],
+  collect() {
+    this.set(processQueue.stats().queued);
+  }
+});
+
+const tokensTotal = new client.Counter({
+  name: 'claude_tokens_total',
+  help: 'Number of tokens processed by Claude, by direction',
+  labelNames: ['type', 'model'],
+  registers: [register]
+});
+
+/**
+ * Middleware: Zählt Requests und misst Latenz pro Route/Status/Modell
+ */
+function metricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    // Route-Pattern statt konkretem Pfad (begrenzte Label-Kardinalität)
+    const route = req.route?.path || 'unmatched';
+    const status = String(res.statusCode);
+    const model = req.method === 'POST' && req.route
+      ? modelLabel(req.body?.model || config.claude.defaultModel)
+      : '';
+
+    httpRequestsTotal.inc({ method: req.method, route, status, model });
+    endTimer({ method: req.method, route, status });
+  });
+
+  next();
+}
+
+/**
+ * Unbekannte Modellnamen zusammenfassen (Label-Kardinalität begrenzen)
+ */
+function modelLabel(model) {
+  return models.isKnown(model) ? model : 'other';
+}
+
+/**
+ * Verbucht die Token-Usage einer Claude Ausführung
+ *
+ * @param {string} model - Modell des Requests
+ * @param {Object|null} usage - Claude usage ({ input_tokens, output_tokens })
+ */
+function recordTokens(model, usage) {
+  if (!usage) return;
+  tokensTotal.inc({ type: 'input', model: modelLabel(model) }, usage.input_tokens || 0);
+  tokensTotal.inc({ type: 'output', model: modelLabel(model) }, usage.output_tokens || 0);
+}
+
+/**
+ * Misst die Zeit bis zum ersten gestreamten Inhalt
+ *
+ * @param {string} format - Stream-Format ("openai" | "anthropic" | "completions")
+ * @param {string} model - Modell des Requests
+ * @param {number} durationMs - Zeit seit Request-Start in ms
+ */
+function recordTimeToFirstToken(format, model, durationMs) {
+  streamTimeToFirstToken.observe({ format, model: modelLabel(model) }, durationMs / 1000);
+}
+
+module.exports = {
+  register,
+  metricsMiddleware,
+  recordTokens,
+  recordTimeToFirstToken,
+  processSpawnFailures,
+  processTimeouts,
+  processesInFlight
+};
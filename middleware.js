@@ -8,6 +8,22 @@
 const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const logger = require('./logger');
+const processQueue = require('./process-queue');
+const apiKeys = require('./api-keys');
+const models = require('./models');
+const structuredOutput = require('./structured-output');
+const textCompletion = require('./text-completion');
+const workspace = require('./workspace');
+const toolPolicy = require('./tool-policy');
+const mcpServers = require('./mcp-servers');
+const costLedger = require('./cost-ledger');
+const auditLog = require('./audit-log');
+const requestRegistry = require('./request-registry');
+const { createError, sendError } = require('./errors');
+const { validateChatCompletionBody, validateChoiceOptions } = require('./chat-request');
+
+// Vom Client mitgesendete X-Request-ID (Alias, um den Request später abzubrechen)
+const CLIENT_REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
 
 /**
  * Middleware: Request-ID für Tracking
@@ -35,6 +51,17 @@ function timingMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Middleware: Queue-Status Header für Endpunkte, die Claude Prozesse starten
+ */
+function queueHeadersMiddleware(req, res, next) {
+  const stats = processQueue.stats();
+  res.setHeader('X-Queue-Depth', stats.queued);
+  res.setHeader('X-Queue-Active', stats.active);
+  res.setHeader('X-Queue-Limit', stats.maxProcesses);
+  next();
+}
+
 /**
  * Middleware: API-Key-Authentifizierung
  */
@@ -61,7 +88,9 @@ function authMiddleware(req, res, next) {
     });
   }
 
-  if (providedKey !== config.auth.apiKey) {
+  const keyEntry = apiKeys.find(providedKey);
+
+  if (!keyEntry) {
     logger.warn('Invalid API key', {
       ip: req.ip,
       path: req.path,
@@ -76,54 +105,222 @@ function authMiddleware(req, res, next) {
     });
   }
 
+  // Key-Identität für Logging und nachgelagerte Prüfungen
+  req.apiKey = keyEntry;
+
+  // Berechtigung: Endpunkt
+  if (!apiKeys.isEndpointAllowed(keyEntry, req.path)) {
+    logger.warn('API key not allowed for endpoint', {
+      apiKey: keyEntry.name,
+      path: req.path,
+      requestId: req.id
+    });
+    return res.status(403).json({
+      error: {
+        message: `API key '${keyEntry.name}' is not allowed to access ${req.path}`,
+        type: 'permission_error',
+        code: 'endpoint_not_allowed'
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Berechtigung des Keys für das Modell im Request-Body (nach authMiddleware)
+ *
+ * Batches prüfen das Modell pro Zeile (batch-manager.js parseInput).
+ */
+function modelPermissionMiddleware(req, res, next) {
+  const model = req.body?.model || config.claude.defaultModel;
+  if (req.apiKey && !apiKeys.isModelAllowed(req.apiKey, model)) {
+    logger.warn('API key not allowed for model', {
+      apiKey: req.apiKey.name,
+      model,
+      requestId: req.id
+    });
+    return res.status(403).json({
+      error: {
+        message: `API key '${req.apiKey.name}' is not allowed to use model '${model}'`,
+        type: 'permission_error',
+        code: 'model_not_allowed'
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Rate Limit des Keys (nach authMiddleware)
+ *
+ * Nur für Endpunkte, die Claude ausführen; Abfragen wie Modell-Liste, Budgets
+ * oder das Polling von Jobs und Batches zählen nicht.
+ */
+function apiKeyRateLimitMiddleware(req, res, next) {
+  rejectKeyLimit(req, res, next, apiKeys.consumeRateLimit(req.apiKey));
+}
+
+/**
+ * Middleware: Tages-Quota des Keys (nach authMiddleware)
+ *
+ * Wie das Rate Limit nur für Endpunkte, die Claude ausführen. Batches zählen
+ * jede Zeile bei der Verarbeitung (batch-manager.js).
+ */
+function apiKeyQuotaMiddleware(req, res, next) {
+  rejectKeyLimit(req, res, next, apiKeys.consumeQuota(req.apiKey));
+}
+
+/**
+ * Lehnt einen Request wegen Rate Limit/Quota des Keys ab (429) oder setzt fort
+ */
+function rejectKeyLimit(req, res, next, rejection) {
+  if (rejection) {
+    logger.warn('API key limit exceeded', {
+      apiKey: req.apiKey.name,
+      code: rejection.code,
+      requestId: req.id
+    });
+    res.setHeader('Retry-After', rejection.retryAfter);
+    return res.status(429).json({
+      error: {
+        message: rejection.message,
+        type: 'rate_limit_error',
+        code: rejection.code
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Nur Admin-Keys (nach authMiddleware)
+ *
+ * Ohne Authentifizierung sind Admin-Endpunkte wie alle anderen offen.
+ * Der einzelne Key aus API_KEY gilt als Admin, in der Key-Registry nur
+ * Keys mit "admin": true.
+ */
+function adminMiddleware(req, res, next) {
+  if (!config.auth.enabled || req.apiKey?.admin || (!config.auth.keysFile && req.apiKey)) {
+    return next();
+  }
+
+  logger.warn('Admin endpoint access denied', {
+    apiKey: req.apiKey?.name,
+    path: req.path,
+    requestId: req.id
+  });
+  return res.status(403).json({
+    error: {
+      message: 'This endpoint requires an admin API key',
+      type: 'permission_error',
+      code: 'admin_required'
+    }
+  });
+}
+
+/**
+ * Middleware: Audit-Log (Prompt, Response und Usage pro Request, siehe audit-log.js)
+ *
+ * Merkt sich den Body von res.json; Streaming-Routen setzen res.locals.auditResponse.
+ * Geschrieben wird, sobald die Response beendet oder die Verbindung getrennt ist.
+ */
+function auditMiddleware(req, res, next) {
+  if (!auditLog.enabled) {
+    return next();
+  }
+
+  const json = res.json;
+  res.json = function (body) {
+    res.locals.auditResponse = body;
+    return json.call(this, body);
+  };
+  res.on('close', () => auditLog.recordRequest(req, res));
+  next();
+}
+
+/**
+ * Middleware: Laufenden Request registrieren (abbrechbar über DELETE /v1/requests/:id)
+ *
+ * Setzt req.abortSignal für die Executors. Eine gültige X-Request-ID des Clients
+ * wird als Alias registriert. Trennt der Client die Verbindung vor dem Ende der
+ * Response, wird der Request abgebrochen.
+ */
+function requestTrackingMiddleware(req, res, next) {
+  const clientId = req.get('X-Request-ID');
+  req.abortSignal = requestRegistry.register(req.id, {
+    owner: req.apiKey?.name,
+    path: req.path,
+    alias: clientId && CLIENT_REQUEST_ID_PATTERN.test(clientId) ? clientId : null
+  });
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      requestRegistry.cancel(req.id, 'client_disconnected');
+    }
+    requestRegistry.unregister(req.id);
+  });
   next();
 }
 
+/**
+ * Middleware: Harte Budgets (global, Team, Key) für Endpunkte, die Claude Prozesse starten
+ */
+function budgetMiddleware(req, res, next) {
+  const rejection = costLedger.check(req.apiKey);
+  if (!rejection) {
+    return next();
+  }
+
+  logger.warn('Budget exceeded, request rejected', {
+    apiKey: req.apiKey?.name,
+    reason: rejection.message,
+    requestId: req.id
+  });
+  res.setHeader('Retry-After', rejection.retryAfter);
+  return res.status(429).json({
+    error: {
+      message: rejection.message,
+      type: 'rate_limit_error',
+      code: rejection.code
+    }
+  });
+}
+
 /**
  * Middleware: Request-Validierung für Chat Completions
  */
 function validateChatCompletionRequest(req, res, next) {
-  const { model, messages } = req.body;
+  const { model } = req.body;
 
-  // Validierung: messages ist erforderlich
-  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+  const validationError = validateChatCompletionBody(req.body);
+  if (validationError) {
     return res.status(400).json({
       error: {
-        message: 'messages field is required and must be a non-empty array',
+        message: validationError.message,
         type: 'invalid_request_error',
-        code: 'invalid_messages'
+        code: validationError.code
       }
     });
   }
 
-  // Validierung: Jede Message braucht role und content
-  for (let i = 0; i < messages.length; i++) {
-    const msg = messages[i];
-    if (!msg.role || !msg.content) {
-      return res.status(400).json({
-        error: {
-          message: `Message at index ${i} missing required fields 'role' or 'content'`,
-          type: 'invalid_request_error',
-          code: 'invalid_message_format'
-        }
-      });
-    }
-
-    // Validierung: role muss valide sein
-    if (!['system', 'user', 'assistant'].includes(msg.role)) {
-      return res.status(400).json({
-        error: {
-          message: `Message at index ${i} has invalid role '${msg.role}'. Must be 'system', 'user', or 'assistant'`,
-          type: 'invalid_request_error',
-          code: 'invalid_role'
-        }
-      });
-    }
+  // JSON wird erst nach vollständiger Antwort validiert, daher kein Streaming
+  const streaming = req.body.stream || req.body.output_format === 'stream-json';
+  if (streaming && structuredOutput.isActive(req.body)) {
+    return res.status(400).json({
+      error: {
+        message: 'response_format json_object/json_schema is not supported with streaming',
+        type: 'invalid_request_error',
+        code: 'invalid_response_format'
+      }
+    });
   }
 
   // Optional: Model-Validierung (warnen bei unbekannten Modellen)
-  if (model && !model.includes('claude')) {
-    logger.warn('Non-Claude model requested', {
+  if (model && !models.isKnown(model)) {
+    logger.warn('Unknown model requested', {
       model,
       requestId: req.id
     });
@@ -132,6 +329,119 @@ function validateChatCompletionRequest(req, res, next) {
   next();
 }
 
+/**
+ * Middleware: Legacy Completion Request Validierung (/v1/completions)
+ */
+function validateCompletionRequest(req, res, next) {
+  const { prompt, suffix, echo, stream } = req.body;
+
+  const reject = (message, code) =>
+    sendError(res, createError(400, 'invalid_request_error', code, message));
+
+  // Validierung: prompt ist erforderlich
+  const promptError = textCompletion.validatePrompt(prompt);
+  if (promptError) {
+    return reject(promptError, 'invalid_prompt');
+  }
+
+  if (suffix !== undefined && suffix !== null && typeof suffix !== 'string') {
+    return reject('suffix must be a string', 'invalid_suffix');
+  }
+
+  if (echo !== undefined && typeof echo !== 'boolean') {
+    return reject('echo must be a boolean', 'invalid_echo');
+  }
+
+  // Streaming unterstützt nur einen Prompt pro Request
+  if (stream && textCompletion.normalizePrompts(prompt).length > 1) {
+    return reject('Streaming is only supported for a single prompt', 'invalid_prompt');
+  }
+
+  // Validierung: n und stop
+  const choicesError = validateChoiceOptions(req.body);
+  if (choicesError) {
+    return reject(choicesError.message, choicesError.code);
+  }
+
+  next();
+}
+
+/**
+ * Middleware: Prüft workspace / cwd gegen die Allowlist
+ *
+ * Ersetzt den angefragten Pfad durch den aufgelösten realen Pfad in
+ * req.body.workspace, den die Executors als cwd der Claude CLI verwenden.
+ */
+function workspaceMiddleware(req, res, next) {
+  const requested = workspace.fromBody(req.body);
+  if (requested === undefined) {
+    return next();
+  }
+
+  runCheck(req, res, next, () => {
+    req.body.workspace = workspace.resolve(requested);
+    delete req.body.cwd;
+  }, () => {
+    logger.warn('Workspace not allowed', {
+      apiKey: req.apiKey?.name,
+      workspace: requested,
+      requestId: req.id
+    });
+  });
+}
+
+/**
+ * Middleware: Ermittelt die Tool-Policy des Requests
+ *
+ * Globale bzw. Key-Policy, eingeschränkt durch tool_policy aus dem Request.
+ * Das Ergebnis ersetzt req.body.tool_policy und wird von den Executors
+ * in CLI-Flags übersetzt; Erweiterungen werden mit 403 abgelehnt.
+ */
+function toolPolicyMiddleware(req, res, next) {
+  runCheck(req, res, next, () => {
+    req.body.tool_policy = toolPolicy.resolve(req.apiKey, req.body.tool_policy);
+  }, (error) => {
+    logger.warn('Tool policy violation', {
+      apiKey: req.apiKey?.name,
+      reason: error.message,
+      requestId: req.id
+    });
+  });
+}
+
+/**
+ * Middleware: Prüft die per Name angefragten MCP Server (mcp_servers)
+ */
+function mcpServersMiddleware(req, res, next) {
+  runCheck(req, res, next, () => {
+    req.body.mcp_servers = mcpServers.resolve(req.body.mcp_servers, req.apiKey);
+  });
+}
+
+/**
+ * Führt eine Request-Prüfung aus (workspace, tool_policy, mcp_servers)
+ *
+ * Fehler aus createError() werden als Fehler-Response gesendet, andere an den
+ * Error-Handler weitergereicht.
+ *
+ * @param {Function} check - Prüfung, wirft bei ungültigem Request
+ * @param {Function} [onForbidden] - Logging bei abgelehnter Berechtigung (403)
+ */
+function runCheck(req, res, next, check, onForbidden) {
+  try {
+    check();
+  } catch (error) {
+    if (!error.statusCode) {
+      return next(error);
+    }
+    if (error.statusCode === 403 && onForbidden) {
+      onForbidden(error);
+    }
+    return sendError(res, error);
+  }
+  next();
+}
+
 /**
  * Middleware: Error-Handler
  */
@@ -153,6 +463,11 @@ function errorHandler(err, req, res, next) {
     }
   };
 
+  // Retry-After bei Kapazitätsfehlern (Queue voll, Wartezeit überschritten)
+  if (err.retryAfter) {
+    res.setHeader('Retry-After', err.retryAfter);
+  }
+
   // Bei Produktions-Modus keine Stack Traces ausgeben
   if (config.isDevelopment && err.stack) {
     errorResponse.error.stack = err.stack;
@@ -184,8 +499,20 @@ function notFoundHandler(req, res) {
 module.exports = {
   requestIdMiddleware,
   timingMiddleware,
+  queueHeadersMiddleware,
   authMiddleware,
+  modelPermissionMiddleware,
+  apiKeyRateLimitMiddleware,
+  apiKeyQuotaMiddleware,
+  adminMiddleware,
+  auditMiddleware,
+  budgetMiddleware,
+  requestTrackingMiddleware,
   validateChatCompletionRequest,
+  validateCompletionRequest,
+  workspaceMiddleware,
+  toolPolicyMiddleware,
+  mcpServersMiddleware,
   errorHandler,
   notFoundHandler
 };
@@ -0,0 +1,82 @@
+/**
+ * Model Registry
+ *
+ * Single source for the models this server accepts: the Claude CLI aliases
+ * plus any full model names configured via CLAUDE_MODELS and the default
+ * model. Used for the /v1/models endpoints and for the --model argument
+ * passed to the CLI.
+ */
+
+const config = require('./config');
+
+// Zeitpunkt für das "created" Feld (Modelle existieren seit Server-Start)
+const CREATED_AT = new Date();
+
+/**
+ * Liefert alle konfigurierten Modelle (Aliase zuerst)
+ *
+ * @returns {Array<{id: string, displayName: string}>}
+ */
+function list() {
+  const ids = [...config.claude.modelAliases, ...config.claude.models, config.claude.defaultModel];
+  return [...new Set(ids)].map(id => ({
+    id,
+    displayName: config.claude.modelAliases.includes(id)
+      ? `Claude ${id.charAt(0).toUpperCase()}${id.slice(1)} (latest)`
+      : id
+  }));
+}
+
+/**
+ * Sucht ein Modell anhand seiner ID
+ */
+function find(id) {
+  return list().find(model => model.id === id) || null;
+}
+
+/**
+ * Prüft ob das Modell konfiguriert ist
+ */
+function isKnown(id) {
+  return find(id) !== null;
+}
+
+/**
+ * Ermittelt den Wert für das --model Argument der Claude CLI
+ */
+function resolve(requestedModel) {
+  return requestedModel || config.claude.defaultModel;
+}
+
+/**
+ * Konvertiert ein Modell ins OpenAI Format
+ */
+function toOpenAiFormat(model) {
+  return {
+    id: model.id,
+    object: 'model',
+    created: Math.floor(CREATED_AT.getTime() / 1000),
+    owned_by: 'anthropic'
+  };
+}
+
+/**
+ * Konvertiert ein Modell ins Anthropic Format
+ */
+function toAnthropicFormat(model) {
+  return {
+    type: 'model',
+    id: model.id,
+    display_name: model.displayName,
+    created_at: CREATED_AT.toISOString()
+  };
+}
+
+module.exports = {
+  list,
+  find,
+  isKnown,
+  resolve,
+  toOpenAiFormat,
+  toAnthropicFormat
+};
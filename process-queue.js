@@ -0,0 +1,147 @@
+/**
+ * Claude Process Queue
+ *
+ * Limits the number of concurrently running Claude CLI processes. Requests
+ * beyond the limit wait in a FIFO queue with a bounded size and a maximum
+ * wait time; both limits reject with an error carrying an HTTP status code.
+ * Cancelled requests (AbortSignal) leave the queue right away.
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+
+class ProcessQueue {
+  constructor() {
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Reserviert einen Prozess-Slot (wartet ggf. in der Queue)
+   *
+   * @param {string} requestId - ID für Logging
+   * @param {AbortSignal|null} signal - Abbruch des Requests (entfernt ihn aus der Queue)
+   * @returns {Promise<Function>} release-Funktion, die den Slot wieder freigibt
+   * @throws {Error} Wenn die Queue voll ist, die Wartezeit überschritten oder der Request abgebrochen wird
+   */
+  acquire(requestId, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.active < config.concurrency.maxProcesses) {
+      this.active++;
+      return Promise.resolve(this._createRelease());
+    }
+
+    if (this.waiting.length >= config.concurrency.maxQueueSize) {
+      logger.warn('Claude process queue full, rejecting request', {
+        requestId,
+        active: this.active,
+        queued: this.waiting.length
+      });
+      return Promise.reject(this.capacityError(
+        'Server is at capacity and the request queue is full, please try again later',
+        'queue_full'
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(waiter.timeout);
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        logger.info('Request cancelled while queued for Claude process', { requestId });
+        reject(signal.reason);
+      };
+
+      const waiter = {
+        requestId,
+        resolve: (release) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(release);
+        },
+        reject,
+        enqueuedAt: Date.now()
+      };
+
+      // Maximale Wartezeit in der Queue
+      waiter.timeout = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        logger.warn('Claude process queue wait timeout', {
+          requestId,
+          maxWaitMs: config.concurrency.maxQueueWait
+        });
+        reject(this.capacityError(
+          `Request waited longer than ${config.concurrency.maxQueueWait}ms for a free Claude process`,
+          'queue_timeout'
+        ));
+      }, config.concurrency.maxQueueWait);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+      logger.debug('Request queued for Claude process', {
+        requestId,
+        position: this.waiting.length,
+        active: this.active
+      });
+    });
+  }
+
+  /**
+   * Aktueller Zustand für Response-Header und Health-Check
+   */
+  stats() {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      maxProcesses: config.concurrency.maxProcesses,
+      maxQueueSize: config.concurrency.maxQueueSize
+    };
+  }
+
+  /**
+   * Erstellt eine release-Funktion, die nur beim ersten Aufruf wirkt
+   */
+  _createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this._release();
+    };
+  }
+
+  /**
+   * Gibt einen Slot frei und übergibt ihn an den nächsten Wartenden (FIFO)
+   */
+  _release() {
+    const next = this.waiting.shift();
+    if (!next) {
+      this.active--;
+      return;
+    }
+
+    clearTimeout(next.timeout);
+    logger.debug('Dequeued request for Claude process', {
+      requestId: next.requestId,
+      waitTime: `${Date.now() - next.enqueuedAt}ms`
+    });
+    next.resolve(this._createRelease());
+  }
+
+  /**
+   * Kapazitätsfehler (Status aus CLAUDE_QUEUE_REJECT_STATUS, mit Retry-After)
+   * Auch für andere Warteschlangen vor dem Prozess-Slot, z.B. asynchrone RCA Jobs.
+   */
+  capacityError(message, code) {
+    const error = new Error(message);
+    error.statusCode = config.concurrency.rejectStatus;
+    error.type = 'capacity_error';
+    error.code = code;
+    error.retryAfter = Math.ceil(config.concurrency.maxQueueWait / 1000);
+    return error;
+  }
+}
+
+module.exports = new ProcessQueue();
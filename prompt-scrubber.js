@@ -0,0 +1,329 @@
+/**
+ * Prompt Scrubbing
+ *
+ * Replaces secrets and personal data (passwords, bearer tokens, AWS keys,
+ * emails, IPs, ...) in the message texts, tool-call arguments and tool
+ * descriptions with placeholder tokens before the prompt reaches the Claude
+ * CLI. Equal values get the same placeholder ("[IP_1]" stays the same host),
+ * so the model can still reason about them. Within a conversation the mapping
+ * is kept in the conversation store, so placeholders stay stable across turns.
+ * Optionally the placeholders in the response are mapped back to the original
+ * values (PROMPT_SCRUBBING_RESTORE).
+ *
+ * Custom rules (PROMPT_SCRUBBING_RULES_FILE):
+ * {
+ *   "rules": [
+ *     { "name": "customer_id", "pattern": "CUST-\\d{6}", "flags": "i", "placeholder": "CUSTOMER" },
+ *     { "name": "db_dsn", "pattern": "dsn=(?<value>\\S+)" }      // nur die Gruppe "value" ersetzen
+ *   ]
+ * }
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+
+// Eingebaute Detektoren (Reihenfolge: spezifische vor allgemeinen Mustern).
+// Mit einer Gruppe "value" wird nur der Wert ersetzt, der Kontext (z.B. "password=") bleibt erhalten.
+const DETECTORS = [
+  {
+    name: 'private_key',
+    placeholder: 'PRIVATE_KEY',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/
+  },
+  { name: 'aws_access_key', placeholder: 'AWS_ACCESS_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  {
+    name: 'aws_secret_key',
+    placeholder: 'AWS_SECRET_KEY',
+    pattern: /aws_secret_access_key["']?\s*[=:]\s*["']?(?<value>[A-Za-z0-9/+=]{40})/i
+  },
+  { name: 'jwt', placeholder: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/ },
+  { name: 'bearer_token', placeholder: 'TOKEN', pattern: /\bBearer\s+(?<value>[A-Za-z0-9\-._~+/]+=*)/i },
+  {
+    name: 'url_credentials',
+    placeholder: 'PASSWORD',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:(?<value>[^\s@/]+)@/i
+  },
+  {
+    name: 'password',
+    placeholder: 'PASSWORD',
+    pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token)["']?\s*[=:]\s*["']?(?<value>[^\s"',;]+)/i
+  },
+  { name: 'email', placeholder: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/ },
+  {
+    name: 'ipv4',
+    placeholder: 'IP',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/
+  }
+];
+
+const PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*_\d+\]/g;
+
+// Längster Platzhalter, der bei Streaming am Chunk-Ende zurückgehalten wird
+const MAX_PLACEHOLDER_LENGTH = 48;
+
+/**
+ * Lädt die aktiven Regeln (eingebaute Detektoren und eigene Regeln aus der Datei)
+ *
+ * @param {Object} settings - detectors, rulesFile (wie config.scrubbing)
+ * @returns {Array<Object>} { name, placeholder, regex }
+ */
+function loadRules(settings) {
+  const detectors = settings.detectors;
+  const unknown = (detectors || []).filter(name => !DETECTORS.some(detector => detector.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scrubbing detector(s): ${unknown.join(', ')}. Available: ${DETECTORS.map(d => d.name).join(', ')}`);
+  }
+
+  const rules = DETECTORS
+    .filter(detector => !detectors || detectors.includes(detector.name))
+    .map(detector => ({
+      name: detector.name,
+      placeholder: detector.placeholder,
+      regex: new RegExp(detector.pattern.source, detector.pattern.flags + 'gd')
+    }));
+
+  if (settings.rulesFile) {
+    const content = JSON.parse(fs.readFileSync(settings.rulesFile, 'utf8'));
+    for (const rule of content.rules || []) {
+      rules.push(compileRule(rule, rules));
+    }
+    logger.info('Scrubbing rules loaded', { file: settings.rulesFile, count: (content.rules || []).length });
+  }
+
+  return rules;
+}
+
+/**
+ * Prüft und kompiliert eine eigene Regel aus der Regel-Datei
+ */
+function compileRule(rule, existing) {
+  if (!rule?.name || typeof rule.pattern !== 'string') {
+    throw new Error('Each scrubbing rule needs a name and a pattern');
+  }
+  if (existing.some(other => other.name === rule.name)) {
+    throw new Error(`Duplicate scrubbing rule '${rule.name}'`);
+  }
+  if (rule.flags !== undefined && !/^[imsu]*$/.test(rule.flags)) {
+    throw new Error(`Scrubbing rule '${rule.name}': flags may only contain i, m, s, u`);
+  }
+
+  const placeholder = rule.placeholder || rule.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  if (!/^[A-Z][A-Z0-9_]*$/.test(placeholder)) {
+    throw new Error(`Scrubbing rule '${rule.name}': placeholder must consist of A-Z, 0-9 and _`);
+  }
+
+  try {
+    return { name: rule.name, placeholder, regex: new RegExp(rule.pattern, (rule.flags || '') + 'gd') };
+  } catch (error) {
+    throw new Error(`Scrubbing rule '${rule.name}': ${error.message}`);
+  }
+}
+
+/**
+ * Erstellt einen Scrubber mit den angegebenen Einstellungen
+ *
+ * Der Server nutzt den Scrubber aus config.scrubbing (Export createSession);
+ * die Regeln werden einmal beim Erstellen geladen und geprüft.
+ *
+ * @param {Object} settings - enabled, detectors, rulesFile, restore (wie config.scrubbing)
+ * @returns {Object} { createSession(requestId, saved) }
+ */
+function createScrubber(settings) {
+  const rules = settings.enabled ? loadRules(settings) : [];
+  return {
+    createSession: (requestId, saved = null) => createSession(rules, settings, requestId, saved)
+  };
+}
+
+/**
+ * Erstellt eine Scrubbing-Session für einen Request
+ *
+ * Die Session hält die Zuordnung Platzhalter ↔ Originalwert, damit gleiche
+ * Werte denselben Platzhalter erhalten und die Antwort zurückübersetzt werden kann.
+ * Bei Conversations wird die Zuordnung des letzten Turns übernommen (state()).
+ *
+ * @param {Array<Object>} rules - Regeln aus loadRules()
+ * @param {Object} settings - Einstellungen des Scrubbers (restore)
+ * @param {string} requestId - ID für das Logging der ausgelösten Regeln
+ * @param {Object|null} saved - Ergebnis von state() eines früheren Turns
+ */
+function createSession(rules, settings, requestId, saved = null) {
+  // Originalwert → Platzhalter, Platzhalter → { original, rule }
+  const placeholders = new Map();
+  const originals = new Map();
+  // Platzhalter-Name → Zähler
+  const counters = { ...saved?.counters };
+  // In diesem Request verwendete Platzhalter (für das Logging)
+  const used = new Set();
+
+  for (const [placeholder, original, rule] of saved?.entries || []) {
+    placeholders.set(original, placeholder);
+    originals.set(placeholder, { original, rule });
+  }
+
+  const placeholderFor = (rule, value) => {
+    // Bereits ersetzter Wert (z.B. password=[TOKEN_1])
+    if (originals.has(value)) return value;
+
+    let placeholder = placeholders.get(value);
+    if (!placeholder) {
+      counters[rule.placeholder] = (counters[rule.placeholder] || 0) + 1;
+      placeholder = `[${rule.placeholder}_${counters[rule.placeholder]}]`;
+      placeholders.set(value, placeholder);
+      originals.set(placeholder, { original: value, rule: rule.name });
+    }
+    used.add(placeholder);
+    return placeholder;
+  };
+
+  const scrubText = (text) => {
+    if (typeof text !== 'string' || rules.length === 0) return text;
+
+    for (const rule of rules) {
+      rule.regex.lastIndex = 0;
+      let result = '';
+      let last = 0;
+      let match;
+      while ((match = rule.regex.exec(text)) !== null) {
+        if (match[0] === '') {
+          rule.regex.lastIndex++;
+          continue;
+        }
+        const [start, end] = match.indices.groups?.value || match.indices[0];
+        result += text.substring(last, start) + placeholderFor(rule, text.substring(start, end));
+        last = end;
+      }
+      text = result + text.substring(last);
+    }
+    return text;
+  };
+
+  const fired = () => {
+    if (used.size === 0) return null;
+
+    const counts = {};
+    for (const placeholder of used) {
+      const { rule } = originals.get(placeholder);
+      counts[rule] = (counts[rule] || 0) + 1;
+    }
+    return counts;
+  };
+
+  const restore = (text) => {
+    if (typeof text !== 'string' || !settings.restore || originals.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder)?.original ?? placeholder);
+  };
+
+  // Rückübersetzung aller Strings eines Werts (z.B. Tool-Eingaben und -Ergebnisse in steps)
+  const restoreValue = (value) => {
+    if (typeof value === 'string') return restore(value);
+    if (Array.isArray(value)) return value.map(restoreValue);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreValue(item)]));
+    }
+    return value;
+  };
+
+  return {
+    scrubText,
+    restore,
+    restoreValue,
+    // Anzahl ersetzter Werte pro Regel (null wenn keine Regel ausgelöst hat)
+    fired,
+
+    /**
+     * Zuordnung für den nächsten Turn einer Conversation (null ohne Platzhalter)
+     */
+    state() {
+      if (originals.size === 0) return null;
+      return {
+        entries: Array.from(originals, ([placeholder, { original, rule }]) => [placeholder, original, rule]),
+        counters: { ...counters }
+      };
+    },
+
+    /**
+     * Kopie des Requests mit gescrubbten Texten (loggt die ausgelösten Regeln)
+     *
+     * Gescrubbt wird alles, was als Text im Prompt landet: Message-Inhalte,
+     * Argumente der Tool-Calls im Verlauf und die Beschreibungen der Tools.
+     */
+    scrub(request) {
+      if (rules.length === 0) return request;
+
+      const scrubbed = {
+        ...request,
+        messages: request.messages.map((msg) => {
+          const scrubbedMsg = {
+            ...msg,
+            content: Array.isArray(msg.content)
+              ? msg.content.map(part => {
+                if (typeof part === 'string') return scrubText(part);
+                return part?.type === 'text' ? { ...part, text: scrubText(part.text) } : part;
+              })
+              : scrubText(msg.content)
+          };
+          if (Array.isArray(msg.tool_calls)) {
+            scrubbedMsg.tool_calls = msg.tool_calls.map(call => ({
+              ...call,
+              function: { ...call.function, arguments: scrubText(call.function?.arguments) }
+            }));
+          }
+          return scrubbedMsg;
+        })
+      };
+
+      if (Array.isArray(request.tools)) {
+        scrubbed.tools = request.tools.map(tool => ({
+          ...tool,
+          function: { ...tool.function, description: scrubText(tool.function?.description) }
+        }));
+      }
+
+      const counts = fired();
+      if (counts) {
+        logger.info('Prompt scrubbed before Claude execution', { requestId, rules: counts });
+      }
+      return scrubbed;
+    },
+
+    /**
+     * Rückübersetzung für Streams: Platzhalter können über Chunk-Grenzen
+     * verteilt sein, ein angefangener Platzhalter wird zurückgehalten
+     */
+    createStreamRestorer() {
+      let pending = '';
+
+      return {
+        push(text) {
+          if (!settings.restore || originals.size === 0) return text;
+
+          pending += text;
+          const open = pending.lastIndexOf('[');
+          const hold = open !== -1 && !pending.includes(']', open) && pending.length - open <= MAX_PLACEHOLDER_LENGTH
+            ? pending.length - open
+            : 0;
+
+          const out = pending.substring(0, pending.length - hold);
+          pending = pending.substring(pending.length - hold);
+          return restore(out);
+        },
+
+        // Zurückgehaltenen Text freigeben (Ende eines Text-Blocks)
+        flush() {
+          const out = restore(pending);
+          pending = '';
+          return out;
+        }
+      };
+    }
+  };
+}
+
+const defaultScrubber = createScrubber(config.scrubbing);
+
+module.exports = {
+  createScrubber,
+  createSession: defaultScrubber.createSession
+};
@@ -0,0 +1,273 @@
+/**
+ * Asynchronous RCA Jobs
+ *
+ * Runs long Root Cause Analyses in the background for `/api/rca` requests
+ * with `async: true`. Jobs are kept in memory with a TTL; clients poll the
+ * job or receive an HMAC-SHA256 signed webhook when it succeeds or fails.
+ *
+ * Jobs wait for a Claude process slot like synchronous requests: the number of
+ * pending jobs is capped globally and per API key (submission is rejected with
+ * the process queue's capacity error), and a job that finds no free slot
+ * within RCA_JOB_MAX_WAIT fails instead of being retried forever.
+ *
+ * Webhooks are only sent to hosts listed in RCA_WEBHOOK_ALLOWED_HOSTS (no
+ * allowlist, no webhooks), so clients cannot make the server POST to internal
+ * services or cloud metadata endpoints. Redirects are not followed.
+ *
+ * Webhook signature:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const processQueue = require('./process-queue');
+
+const JOB_ID_PATTERN = /^rcajob_[a-f0-9]{24}$/;
+
+// Endzustände eines Jobs
+const FINAL_STATUSES = ['succeeded', 'failed'];
+
+class RcaJobStore {
+  constructor() {
+    // jobId → Job (Map-Reihenfolge = Erstellungsreihenfolge)
+    this.jobs = new Map();
+  }
+
+  /**
+   * Prüft eine Webhook-URL
+   *
+   * @returns {string|null} Fehlermeldung oder null wenn gültig
+   */
+  validateCallbackUrl(callbackUrl) {
+    if (!config.rcaJobs.webhookSecret) {
+      return 'Webhooks are not configured on this server (RCA_WEBHOOK_SECRET missing)';
+    }
+    // Ohne Allowlist keine Webhooks (Schutz vor Requests an interne Adressen)
+    const allowedHosts = config.rcaJobs.webhookAllowedHosts;
+    if (allowedHosts.length === 0) {
+      return 'Webhooks are not configured on this server (RCA_WEBHOOK_ALLOWED_HOSTS missing)';
+    }
+
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return 'callback_url must be a valid URL';
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return 'callback_url must use http or https';
+    }
+
+    if (!allowedHosts.includes(url.hostname)) {
+      return `callback_url host '${url.hostname}' is not allowed`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Legt einen Job an und startet ihn im Hintergrund
+   *
+   * @param {Function} run - Async Funktion, die das Ergebnis der Analyse liefert
+   * @param {Object} options - owner (Name des API Keys), callbackUrl
+   * @returns {Object} Job
+   * @throws {Error} Kapazitätsfehler, wenn zu viele Jobs offen sind (global oder für den Key)
+   */
+  create(run, options = {}) {
+    this._evict();
+    this._checkCapacity(options.owner || null);
+
+    const job = {
+      id: `rcajob_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'rca.job',
+      status: 'queued',
+      owner: options.owner || null,
+      created_at: Math.floor(Date.now() / 1000),
+      started_at: null,
+      completed_at: null,
+      result: null,
+      error: null,
+      webhook: options.callbackUrl
+        ? { url: options.callbackUrl, status: 'pending', attempts: 0, last_error: null }
+        : null
+    };
+
+    this.jobs.set(job.id, job);
+    logger.info('RCA job created', { jobId: job.id, owner: job.owner, webhook: !!job.webhook });
+
+    this._run(job, run);
+    return job;
+  }
+
+  /**
+   * Liefert einen Job (oder null)
+   */
+  get(id) {
+    if (!JOB_ID_PATTERN.test(id)) return null;
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Job für API-Responses (ohne interne Felder)
+   */
+  toPublic(job) {
+    const { owner, ...publicJob } = job;
+    return publicJob;
+  }
+
+  stats() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Führt den Job aus; Kapazitätsfehler (Queue voll/Timeout) werden bis RCA_JOB_MAX_WAIT wiederholt
+   */
+  async _run(job, run) {
+    try {
+      job.status = 'running';
+      job.started_at = job.started_at || Math.floor(Date.now() / 1000);
+      job.result = await run();
+      job.status = 'succeeded';
+    } catch (error) {
+      const waited = Date.now() - job.created_at * 1000;
+      if (error.type === 'capacity_error' && waited < config.rcaJobs.maxWait) {
+        job.status = 'queued';
+        logger.warn('RCA job deferred, no Claude process available', { jobId: job.id });
+        setTimeout(() => this._run(job, run), (error.retryAfter || 5) * 1000);
+        return;
+      }
+
+      job.status = 'failed';
+      job.error = error.type === 'capacity_error' ? {
+        message: `No Claude process became available within ${Math.round(config.rcaJobs.maxWait / 1000)}s`,
+        type: 'capacity_error',
+        code: 'job_wait_timeout'
+      } : {
+        message: error.message,
+        type: error.type || 'rca_execution_error',
+        code: error.code || 'unknown_error'
+      };
+      logger.logError(error, { jobId: job.id, phase: 'rca-job' });
+    }
+
+    job.completed_at = Math.floor(Date.now() / 1000);
+    logger.info('RCA job finished', { jobId: job.id, status: job.status });
+
+    if (job.webhook) {
+      this._deliverWebhook(job);
+    }
+  }
+
+  /**
+   * Sendet den signierten Webhook (mit Wiederholungen und exponentiellem Backoff)
+   */
+  async _deliverWebhook(job) {
+    const body = JSON.stringify({
+      type: `rca.job.${job.status}`,
+      job: this.toPublic(job)
+    });
+
+    while (job.webhook.attempts < config.rcaJobs.webhookMaxAttempts) {
+      job.webhook.attempts++;
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        const response = await fetch(job.webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': job.id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${sign(timestamp, body)}`
+          },
+          body,
+          // Weiterleitungen könnten die Host-Allowlist umgehen
+          redirect: 'error',
+          signal: AbortSignal.timeout(config.rcaJobs.webhookTimeout)
+        });
+
+        if (!response.ok) {
+          throw new Error(`Webhook responded with status ${response.status}`);
+        }
+
+        job.webhook.status = 'delivered';
+        job.webhook.last_error = null;
+        logger.info('RCA webhook delivered', { jobId: job.id, attempts: job.webhook.attempts });
+        return;
+      } catch (error) {
+        job.webhook.last_error = error.message;
+        logger.warn('RCA webhook delivery failed', {
+          jobId: job.id,
+          attempt: job.webhook.attempts,
+          error: error.message
+        });
+      }
+
+      if (job.webhook.attempts < config.rcaJobs.webhookMaxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (job.webhook.attempts - 1)));
+      }
+    }
+
+    job.webhook.status = 'failed';
+  }
+
+  /**
+   * Begrenzt die offenen Jobs, damit sie keine unbegrenzte zweite Warteschlange bilden
+   */
+  _checkCapacity(owner) {
+    let pending = 0;
+    let pendingForKey = 0;
+    for (const job of this.jobs.values()) {
+      if (FINAL_STATUSES.includes(job.status)) continue;
+      pending++;
+      if (job.owner === owner) pendingForKey++;
+    }
+
+    if (pending >= config.rcaJobs.maxPending) {
+      logger.warn('Too many pending RCA jobs, rejecting job', { owner, pending });
+      throw processQueue.capacityError('Too many pending RCA jobs on this server, please try again later', 'queue_full');
+    }
+    if (pendingForKey >= config.rcaJobs.maxPendingPerKey) {
+      logger.warn('Too many pending RCA jobs for API key, rejecting job', { owner, pending: pendingForKey });
+      throw processQueue.capacityError(
+        `Too many pending RCA jobs for this API key (max ${config.rcaJobs.maxPendingPerKey}), please try again later`,
+        'too_many_pending_jobs'
+      );
+    }
+  }
+
+  /**
+   * Entfernt abgelaufene und - über maxEntries hinaus - die ältesten abgeschlossenen Jobs
+   */
+  _evict() {
+    const expiredBefore = Math.floor((Date.now() - config.rcaJobs.ttl) / 1000);
+    let excess = this.jobs.size - config.rcaJobs.maxEntries + 1;
+
+    for (const [id, job] of this.jobs) {
+      if (!FINAL_STATUSES.includes(job.status)) continue;
+      if (job.completed_at < expiredBefore || excess > 0) {
+        this.jobs.delete(id);
+        excess--;
+      }
+    }
+  }
+}
+
+/**
+ * HMAC-SHA256 Signatur über "<timestamp>.<body>"
+ */
+function sign(timestamp, body) {
+  return crypto
+    .createHmac('sha256', config.rcaJobs.webhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+module.exports = new RcaJobStore();
@@ -0,0 +1,126 @@
+/**
+ * In-Flight Request Registry
+ *
+ * Tracks running requests by their server-generated request id together with
+ * an AbortController. An X-Request-ID sent by the client is registered as an
+ * alias of that id (scoped to the API key), so the client can cancel the
+ * request under its own name without choosing the server-side id. The
+ * executors receive the AbortSignal: aborting it removes a request from the
+ * process queue or kills its Claude CLI processes and fails the request with
+ * signal.reason. Requests are aborted when the client disconnects or via
+ * DELETE /v1/requests/:id.
+ */
+
+const logger = require('./logger');
+
+// Abbruchgründe → Fehlermeldung
+const CANCEL_REASONS = {
+  client_disconnected: 'Client disconnected before the response was complete',
+  request_cancelled: 'Request was cancelled via DELETE /v1/requests/:id'
+};
+
+class RequestRegistry {
+  constructor() {
+    // Request-ID → { id, alias, owner, path, startedAt, controller }
+    this.requests = new Map();
+    // Key-Name + Alias → Request-ID
+    this.aliases = new Map();
+  }
+
+  /**
+   * Registriert einen laufenden Request
+   *
+   * @param {string} id - Vom Server erzeugte Request-ID
+   * @param {Object} info - owner (Key-Name) und path für Berechtigung und Logging,
+   *   alias (X-Request-ID des Clients, optional)
+   * @returns {AbortSignal} Signal für die Executors
+   */
+  register(id, info = {}) {
+    const controller = new AbortController();
+    const owner = info.owner || null;
+    let alias = info.alias || null;
+
+    // Ein Alias gehört immer nur einem laufenden Request des Keys
+    if (alias && this.aliases.has(aliasKey(owner, alias))) {
+      logger.warn('X-Request-ID already used by a running request, alias ignored', { requestId: id, alias });
+      alias = null;
+    }
+    if (alias) {
+      this.aliases.set(aliasKey(owner, alias), id);
+    }
+
+    this.requests.set(id, {
+      id,
+      alias,
+      owner,
+      path: info.path || null,
+      startedAt: Date.now(),
+      controller
+    });
+    return controller.signal;
+  }
+
+  /**
+   * Liefert einen laufenden Request oder null
+   *
+   * @param {string} id - Request-ID oder Alias (X-Request-ID des Clients)
+   * @param {string|null} owner - Key-Name, unter dem der Alias gesucht wird
+   */
+  get(id, owner = null) {
+    return this.requests.get(id) || this.requests.get(this.aliases.get(aliasKey(owner, id))) || null;
+  }
+
+  /**
+   * Bricht einen laufenden Request ab
+   *
+   * @param {string} id - Request-ID
+   * @param {string} reason - client_disconnected | request_cancelled
+   * @returns {boolean} false wenn unbekannt oder bereits abgebrochen
+   */
+  cancel(id, reason) {
+    const entry = this.requests.get(id);
+    if (!entry || entry.controller.signal.aborted) return false;
+
+    logger.info('Cancelling request', {
+      requestId: id,
+      alias: entry.alias,
+      reason,
+      path: entry.path,
+      runningFor: `${Date.now() - entry.startedAt}ms`
+    });
+
+    const error = new Error(CANCEL_REASONS[reason]);
+    error.statusCode = 499;
+    error.type = 'cancelled_error';
+    error.code = reason;
+    entry.controller.abort(error);
+    return true;
+  }
+
+  /**
+   * Entfernt einen beendeten Request
+   */
+  unregister(id) {
+    const entry = this.requests.get(id);
+    if (entry?.alias) {
+      this.aliases.delete(aliasKey(entry.owner, entry.alias));
+    }
+    this.requests.delete(id);
+  }
+
+  /**
+   * Statistiken für /health
+   */
+  stats() {
+    return { inFlight: this.requests.size };
+  }
+}
+
+/**
+ * Schlüssel der Alias-Map: Aliase sind pro API-Key getrennt
+ */
+function aliasKey(owner, alias) {
+  return JSON.stringify([owner, alias]);
+}
+
+module.exports = new RequestRegistry();
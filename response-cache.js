@@ -0,0 +1,157 @@
+/**
+ * Response Cache
+ *
+ * Opt-in in-memory cache for identical deterministic requests in front of
+ * the non-streaming executor. Entries are keyed on a hash of the API key
+ * name and the normalized model, messages and generation settings (tenants
+ * never share entries), expire after a TTL and are evicted
+ * least-recently-used once the size bound is reached.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const models = require('./models');
+
+class ResponseCache {
+  constructor() {
+    // key → { response, expiresAt } (Map-Reihenfolge = LRU-Reihenfolge)
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Prüft ob ein Request gecacht werden darf
+   *
+   * @param {Object} req - Express Request (für Bypass via Header/Body)
+   * @param {Object} request - OpenAI-kompatibles Request-Objekt
+   */
+  isCacheable(req, request) {
+    if (!config.cache.enabled) return false;
+
+    // Bypass pro Request
+    if (req.body?.cache === false || /no-cache|no-store/.test(req.get('cache-control') || '')) {
+      return false;
+    }
+
+    // Stateful Conversations hängen von der CLI-Session ab
+    if (request.conversation_id || request.session_id) return false;
+
+    // Antworten hängen vom (veränderlichen) Inhalt des Workspaces ab
+    if (request.workspace) return false;
+
+    // MCP Server liefern Live-Daten (Logs, Metriken)
+    if (request.mcp_servers?.length) return false;
+
+    // Nur deterministische Requests (temperature 0), sofern nicht anders konfiguriert
+    return !config.cache.deterministicOnly || request.temperature === 0;
+  }
+
+  /**
+   * Berechnet den Cache-Key aus API-Key, Modell, Messages und Settings
+   *
+   * @param {Object} request - OpenAI-kompatibles Request-Objekt
+   * @param {Object} options - input_format, output_format, owner (Name des API Keys)
+   */
+  key(request, options = {}) {
+    const normalized = {
+      owner: options.owner ?? null,
+      model: models.resolve(request.model),
+      messages: request.messages.map(msg => ({
+        role: msg.role,
+        content: msg.content ?? null,
+        name: msg.name,
+        tool_calls: msg.tool_calls,
+        tool_call_id: msg.tool_call_id
+      })),
+      max_tokens: request.max_tokens,
+      temperature: request.temperature,
+      n: request.n,
+      stop: request.stop,
+      tools: request.tools,
+      tool_choice: request.tool_choice,
+      response_format: request.response_format,
+      tool_policy: request.tool_policy,
+      include_tool_activity: request.include_tool_activity,
+      input_format: options.input_format,
+      output_format: options.output_format
+    };
+
+    return crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Liefert eine gecachte Response oder null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    // Als zuletzt genutzt markieren
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return structuredClone(entry.response);
+  }
+
+  /**
+   * Speichert eine Response
+   */
+  set(key, response) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      response: structuredClone(response),
+      expiresAt: Date.now() + config.cache.ttl
+    });
+
+    // Älteste Einträge verwerfen
+    while (this.entries.size > config.cache.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Leert den Cache
+   *
+   * @returns {number} Anzahl entfernter Einträge
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    logger.info('Response cache cleared', { entries: count });
+    return count;
+  }
+
+  stats() {
+    return {
+      enabled: config.cache.enabled,
+      entries: this.entries.size,
+      maxEntries: config.cache.maxEntries,
+      ttl: config.cache.ttl,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+/**
+ * JSON.stringify mit sortierten Objekt-Keys (gleiche Requests → gleicher Key)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+module.exports = new ResponseCache();
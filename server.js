@@ -7,17 +7,45 @@
  * Features streaming, rate limiting, authentication, and graceful shutdown.
  */
 
+const path = require('path');
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const logger = require('./logger');
 const claudeExecutor = require('./claude-executor');
 const claudeStreamingExecutor = require('./claude-executor-streaming');
+const messageConverter = require('./message-converter');
+const processQueue = require('./process-queue');
+const apiKeys = require('./api-keys');
+const metrics = require('./metrics');
+const models = require('./models');
+const responseCache = require('./response-cache');
+const stopSequences = require('./stop-sequences');
+const textCompletion = require('./text-completion');
+const batchManager = require('./batch-manager');
+const rcaJobs = require('./rca-jobs');
+const mcpServers = require('./mcp-servers');
+const usageReport = require('./usage');
+const costLedger = require('./cost-ledger');
+const auditLog = require('./audit-log');
+const requestRegistry = require('./request-registry');
 const {
   requestIdMiddleware,
   timingMiddleware,
+  queueHeadersMiddleware,
   authMiddleware,
+  modelPermissionMiddleware,
+  apiKeyRateLimitMiddleware,
+  apiKeyQuotaMiddleware,
+  adminMiddleware,
+  auditMiddleware,
+  budgetMiddleware,
+  requestTrackingMiddleware,
   validateChatCompletionRequest,
+  validateCompletionRequest,
+  workspaceMiddleware,
+  toolPolicyMiddleware,
+  mcpServersMiddleware,
   errorHandler,
   notFoundHandler
 } = require('./middleware');
@@ -36,6 +64,11 @@ app.use(express.urlencoded({ extended: true, limit: config.server.requestSizeLim
 app.use(requestIdMiddleware);
 app.use(timingMiddleware);
 
+// Prometheus Metriken (Request-Zähler, Latenz)
+if (config.metrics.enabled) {
+  app.use(metrics.metricsMiddleware);
+}
+
 // Request-Logging
 app.use((req, res, next) => {
   logger.logRequest(req);
@@ -64,8 +97,8 @@ if (config.rateLimit.enabled) {
       });
     },
     skip: (req) => {
-      // Health-Check von Rate-Limiting ausschließen
-      return req.path === '/health';
+      // Health-Check und Metriken von Rate-Limiting ausschließen
+      return req.path === '/health' || req.path === '/metrics';
     }
   });
 
@@ -76,6 +109,64 @@ if (config.rateLimit.enabled) {
   });
 }
 
+// ============================================================================
+// EXECUTION HELPERS
+// ============================================================================
+
+/**
+ * Führt einen Request über den Non-Streaming Executor aus
+ *
+ * Prüft vorher den Response-Cache (X-Cache Header) und verbucht die
+ * Token-Usage auf den API-Key, wenn tatsächlich ein Claude Prozess lief.
+ *
+ * @param {Object} req - Express Request
+ * @param {Object} res - Express Response (für X-Cache Header)
+ * @param {Object} request - OpenAI-kompatibles Request-Objekt
+ * @param {Object} options - Execution Options für claudeExecutor.execute
+ *   (Request-ID, Abbruch-Signal und Key-Name werden aus req ergänzt)
+ * @returns {Promise<Object>} OpenAI-kompatibles Response-Objekt
+ */
+async function executeWithCache(req, res, request, options) {
+  options = { ...options, requestId: req.id, signal: req.abortSignal, owner: req.apiKey?.name };
+
+  if (!responseCache.isCacheable(req, request)) {
+    if (config.cache.enabled) {
+      res.setHeader('X-Cache', 'BYPASS');
+    }
+    const response = await claudeExecutor.execute(request, options);
+    recordUsage(req, response.usage);
+    return response;
+  }
+
+  const cacheKey = responseCache.key(request, options);
+  const cached = responseCache.get(cacheKey);
+  if (cached) {
+    res.setHeader('X-Cache', 'HIT');
+    logger.debug('Response cache hit', { requestId: req.id, cacheKey });
+    // ID und Zeitpunkt gehören zum aktuellen Request, nicht zum gecachten
+    cached.id = `chatcmpl-${req.id}`;
+    cached.created = Math.floor(Date.now() / 1000);
+    return cached;
+  }
+
+  res.setHeader('X-Cache', 'MISS');
+  const response = await claudeExecutor.execute(request, options);
+  recordUsage(req, response.usage);
+  responseCache.set(cacheKey, response);
+  return response;
+}
+
+/**
+ * Verbucht die Usage eines Claude-Laufs auf Tages-Quota und Kosten-Ledger des Keys
+ */
+function recordUsage(req, usage) {
+  apiKeys.recordUsage(req.apiKey, usage);
+  costLedger.record(req.apiKey, usage, {
+    requestId: req.id,
+    model: req.body.model || config.claude.defaultModel
+  });
+}
+
 // ============================================================================
 // ROUTES
 // ============================================================================
@@ -91,10 +182,83 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    version: require('./package.json').version
+    version: require('./package.json').version,
+    queue: processQueue.stats(),
+    batches: batchManager.stats(),
+    rcaJobs: rcaJobs.stats(),
+    costs: costLedger.stats(),
+    requests: requestRegistry.stats()
   });
 });
 
+/**
+ * Prometheus Metrics Endpoint
+ * GET /metrics
+ *
+ * Liefert Request-, Latenz-, Prozess- und Token-Metriken im Prometheus Text-Format
+ */
+if (config.metrics.enabled) {
+  app.get('/metrics', async (req, res, next) => {
+    try {
+      res.setHeader('Content-Type', metrics.register.contentType);
+      res.send(await metrics.register.metrics());
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * Model List Endpoints
+ * GET /v1/models
+ * GET /v1/models/:id
+ *
+ * OpenAI Format; Anthropic Format wenn der Header anthropic-version gesetzt ist.
+ * Bei Key-Registry mit Modell-Einschränkung werden nur erlaubte Modelle gelistet.
+ */
+app.get('/v1/models',
+  authMiddleware,
+  (req, res) => {
+    const available = models.list()
+      .filter(model => !req.apiKey || apiKeys.isModelAllowed(req.apiKey, model.id));
+
+    if (req.get('anthropic-version')) {
+      return res.json({
+        data: available.map(models.toAnthropicFormat),
+        has_more: false,
+        first_id: available[0]?.id || null,
+        last_id: available[available.length - 1]?.id || null
+      });
+    }
+
+    res.json({
+      object: 'list',
+      data: available.map(models.toOpenAiFormat)
+    });
+  }
+);
+
+app.get('/v1/models/:id',
+  authMiddleware,
+  (req, res) => {
+    const model = models.find(req.params.id);
+
+    if (!model || (req.apiKey && !apiKeys.isModelAllowed(req.apiKey, model.id))) {
+      return res.status(404).json({
+        error: {
+          message: `Model '${req.params.id}' not found`,
+          type: 'not_found_error',
+          code: 'model_not_found'
+        }
+      });
+    }
+
+    res.json(req.get('anthropic-version')
+      ? models.toAnthropicFormat(model)
+      : models.toOpenAiFormat(model));
+  }
+);
+
 /**
  * OpenAI-compatible Chat Completions Endpoint (EXTENDED)
  * POST /v1/chat/completions
@@ -108,7 +272,17 @@ app.get('/health', (req, res) => {
  */
 app.post('/v1/chat/completions',
   authMiddleware,
+  auditMiddleware,
+  modelPermissionMiddleware,
+  apiKeyRateLimitMiddleware,
+  apiKeyQuotaMiddleware,
+  budgetMiddleware,
+  requestTrackingMiddleware,
+  queueHeadersMiddleware,
   validateChatCompletionRequest,
+  workspaceMiddleware,
+  toolPolicyMiddleware,
+  mcpServersMiddleware,
   async (req, res, next) => {
     try {
       // Extrahiere Format-Parameter (mit Backward-Compatibility)
@@ -141,6 +315,7 @@ app.post('/v1/chat/completions',
 
       logger.info('Processing chat completion request', {
         requestId: req.id,
+        apiKey: req.apiKey?.name,
         model: req.body.model,
         messageCount: req.body.messages?.length,
         input_format,
@@ -149,18 +324,24 @@ app.post('/v1/chat/completions',
 
       // SSE STREAMING: Nutze Streaming-Executor
       if (output_format === 'stream-json') {
-        await claudeStreamingExecutor.executeStreaming(req.body, res, input_format);
+        const summary = await claudeStreamingExecutor.executeStreaming(req.body, res, input_format, {
+          requestId: req.id,
+          signal: req.abortSignal,
+          owner: req.apiKey?.name
+        });
+        recordUsage(req, summary?.usage);
+        res.locals.auditResponse = auditLog.streamResponse(summary);
         return;
       }
 
-      // NON-STREAMING: Nutze regulären Executor
-      const response = await claudeExecutor.execute(req.body, {
+      // NON-STREAMING: Nutze regulären Executor (mit optionalem Response-Cache)
+      const response = await executeWithCache(req, res, req.body, {
         input_format,
         output_format
       });
 
       // Response zurückgeben
-      res.json(response);
+      res.json(claudeExecutor.toPublic(response));
 
       logger.info('Chat completion successful', {
         requestId: req.id,
@@ -169,8 +350,83 @@ app.post('/v1/chat/completions',
       });
     } catch (error) {
       // Error an Error-Handler weiterleiten
-      error.statusCode = 500;
-      error.type = 'claude_execution_error';
+      error.statusCode = error.statusCode || 500;
+      error.type = error.type || 'claude_execution_error';
+      next(error);
+    }
+  }
+);
+
+/**
+ * OpenAI-compatible Legacy Completions Endpoint
+ * POST /v1/completions
+ *
+ * For older tools and IDE plugins using the text completions API.
+ * Supports prompt (string or array), suffix, echo, n, stop and stream.
+ */
+app.post('/v1/completions',
+  authMiddleware,
+  auditMiddleware,
+  modelPermissionMiddleware,
+  apiKeyRateLimitMiddleware,
+  apiKeyQuotaMiddleware,
+  budgetMiddleware,
+  requestTrackingMiddleware,
+  queueHeadersMiddleware,
+  validateCompletionRequest,
+  workspaceMiddleware,
+  toolPolicyMiddleware,
+  mcpServersMiddleware,
+  async (req, res, next) => {
+    try {
+      const prompts = textCompletion.normalizePrompts(req.body.prompt);
+
+      logger.info('Processing completion request', {
+        requestId: req.id,
+        apiKey: req.apiKey?.name,
+        model: req.body.model,
+        promptCount: prompts.length,
+        stream: !!req.body.stream
+      });
+
+      // SSE STREAMING: Nutze Streaming-Executor (nur ein Prompt)
+      if (req.body.stream) {
+        const summary = await claudeStreamingExecutor.executeCompletionStreaming(
+          textCompletion.toChatRequest(req.body, prompts[0]),
+          res,
+          {
+            prompt: prompts[0],
+            echo: req.body.echo,
+            includeUsage: req.body.stream_options?.include_usage === true,
+            requestId: req.id,
+            signal: req.abortSignal,
+            owner: req.apiKey?.name
+          }
+        );
+        recordUsage(req, summary?.usage);
+        res.locals.auditResponse = auditLog.streamResponse(summary);
+        return;
+      }
+
+      // NON-STREAMING: Ein Executor-Aufruf pro Prompt (parallel)
+      const responses = await Promise.all(prompts.map(prompt =>
+        executeWithCache(req, res, textCompletion.toChatRequest(req.body, prompt), {
+          input_format: 'text',
+          output_format: 'json'
+        })
+      ));
+
+      const response = textCompletion.toTextCompletion(responses, prompts, req.body);
+      res.json(response);
+
+      logger.info('Completion successful', {
+        requestId: req.id,
+        choices: response.choices.length,
+        totalTokens: response.usage.total_tokens
+      });
+    } catch (error) {
+      error.statusCode = error.statusCode || 500;
+      error.type = error.type || 'claude_execution_error';
       next(error);
     }
   }
@@ -192,9 +448,22 @@ app.post('/v1/chat/completions',
  */
 app.post('/v1/messages',
   authMiddleware,
+  auditMiddleware,
+  modelPermissionMiddleware,
+  apiKeyRateLimitMiddleware,
+  apiKeyQuotaMiddleware,
+  budgetMiddleware,
+  requestTrackingMiddleware,
+  queueHeadersMiddleware,
+  workspaceMiddleware,
+  toolPolicyMiddleware,
+  mcpServersMiddleware,
   async (req, res, next) => {
     try {
-      const { model, messages, max_tokens, temperature, metadata } = req.body;
+      const {
+        model, messages, max_tokens, temperature, stop_sequences, stream,
+        conversation_id, session_id, workspace, tool_policy, mcp_servers, include_tool_activity
+      } = req.body;
 
       // Validierung
       if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -207,10 +476,48 @@ app.post('/v1/messages',
         });
       }
 
+      // Validierung: Jede Message braucht role und content; Content-Blocks (Text, base64-Bilder)
+      for (let i = 0; i < messages.length; i++) {
+        if (typeof messages[i]?.role !== 'string' || !messages[i].content) {
+          return res.status(400).json({
+            error: {
+              message: `Message at index ${i} missing required fields 'role' or 'content'`,
+              type: 'invalid_request_error',
+              code: 'invalid_message_format'
+            }
+          });
+        }
+
+        const contentError = messageConverter.validateContent(messages[i].content);
+        if (contentError) {
+          return res.status(400).json({
+            error: {
+              message: `Message at index ${i}: ${contentError}`,
+              type: 'invalid_request_error',
+              code: 'invalid_content'
+            }
+          });
+        }
+      }
+
+      // Validierung: stop_sequences
+      const stopError = stopSequences.validate(stop_sequences, 'stop_sequences');
+      if (stopError) {
+        return res.status(400).json({
+          error: {
+            message: stopError,
+            type: 'invalid_request_error',
+            code: 'invalid_stop_sequences'
+          }
+        });
+      }
+
       logger.info('Processing Anthropic API request (compatibility layer)', {
         requestId: req.id,
+        apiKey: req.apiKey?.name,
         model: model,
-        messageCount: messages.length
+        messageCount: messages.length,
+        stream: !!stream
       });
 
       // Konvertiere Anthropic Format -> OpenAI Format
@@ -218,11 +525,29 @@ app.post('/v1/messages',
         model: model || config.claude.defaultModel,
         messages: messages, // Messages sind bereits kompatibel
         max_tokens: max_tokens || config.claude.defaultMaxTokens,
-        temperature: temperature !== undefined ? temperature : config.claude.defaultTemperature
+        temperature: temperature !== undefined ? temperature : config.claude.defaultTemperature,
+        stop: stop_sequences,
+        conversation_id: conversation_id || session_id,
+        workspace,
+        tool_policy,
+        mcp_servers,
+        include_tool_activity
       };
 
+      // SSE STREAMING: Anthropic Event-Format (message_start, content_block_delta, ...)
+      if (stream) {
+        const summary = await claudeStreamingExecutor.executeAnthropicStreaming(openAiRequest, res, {
+          requestId: req.id,
+          signal: req.abortSignal,
+          owner: req.apiKey?.name
+        });
+        recordUsage(req, summary?.usage);
+        res.locals.auditResponse = auditLog.streamResponse(summary);
+        return;
+      }
+
       // Nutze bestehenden Executor mit JSON output
-      const response = await claudeExecutor.execute(openAiRequest, {
+      const response = await executeWithCache(req, res, openAiRequest, {
         input_format: 'text',
         output_format: 'json'
       });
@@ -239,14 +564,20 @@ app.post('/v1/messages',
           }
         ],
         model: response.model,
-        stop_reason: response.choices[0]?.finish_reason === 'stop' ? 'end_turn' : 'max_tokens',
-        stop_sequence: null,
-        usage: {
-          input_tokens: response.usage?.prompt_tokens || 0,
-          output_tokens: response.usage?.completion_tokens || 0
-        }
+        stop_reason: response.choices[0]?.stop_sequence
+          ? 'stop_sequence'
+          : response.choices[0]?.finish_reason === 'stop' ? 'end_turn' : 'max_tokens',
+        stop_sequence: response.choices[0]?.stop_sequence || null,
+        usage: usageReport.toAnthropic(response.usage)
       };
 
+      if (response.conversation_id) {
+        anthropicResponse.conversation_id = response.conversation_id;
+      }
+      if (response.steps) {
+        anthropicResponse.steps = response.steps;
+      }
+
       res.json(anthropicResponse);
 
       logger.info('Anthropic API request successful', {
@@ -254,8 +585,8 @@ app.post('/v1/messages',
         totalTokens: anthropicResponse.usage.input_tokens + anthropicResponse.usage.output_tokens
       });
     } catch (error) {
-      error.statusCode = 500;
-      error.type = 'anthropic_api_error';
+      error.statusCode = error.statusCode || 500;
+      error.type = error.type || 'anthropic_api_error';
       next(error);
     }
   }
@@ -264,9 +595,23 @@ app.post('/v1/messages',
 
 app.post('/api/rca',
   authMiddleware,
+  auditMiddleware,
+  modelPermissionMiddleware,
+  apiKeyRateLimitMiddleware,
+  apiKeyQuotaMiddleware,
+  budgetMiddleware,
+  requestTrackingMiddleware,
+  queueHeadersMiddleware,
+  workspaceMiddleware,
+  toolPolicyMiddleware,
+  mcpServersMiddleware,
   async (req, res, next) => {
     try {
-      const { prompt, model, max_tokens, temperature } = req.body;
+      const {
+        prompt, model, max_tokens, temperature, conversation_id, session_id,
+        workspace, tool_policy, mcp_servers, include_tool_activity, callback_url
+      } = req.body;
+      const runAsync = req.body.async === true;
 
       // Validierung
       if (!prompt) {
@@ -279,9 +624,27 @@ app.post('/api/rca',
         });
       }
 
+      // Validierung: Webhook nur für asynchrone Jobs
+      if (callback_url !== undefined) {
+        const callbackError = runAsync
+          ? rcaJobs.validateCallbackUrl(callback_url)
+          : 'callback_url requires async: true';
+        if (callbackError) {
+          return res.status(400).json({
+            error: {
+              message: callbackError,
+              type: 'invalid_request_error',
+              code: 'invalid_callback_url'
+            }
+          });
+        }
+      }
+
       logger.info('Processing RCA request', {
         requestId: req.id,
-        promptLength: prompt.length
+        apiKey: req.apiKey?.name,
+        promptLength: prompt.length,
+        async: runAsync
       });
 
       // In OpenAI-Format konvertieren
@@ -294,36 +657,323 @@ app.post('/api/rca',
           }
         ],
         max_tokens: max_tokens || config.claude.defaultMaxTokens,
-        temperature: temperature !== undefined ? temperature : config.claude.defaultTemperature
+        temperature: temperature !== undefined ? temperature : config.claude.defaultTemperature,
+        conversation_id: conversation_id || session_id,
+        workspace,
+        tool_policy,
+        mcp_servers,
+        include_tool_activity
       };
 
+      // ASYNC: Job anlegen, 202 sofort zurückgeben (Polling oder Webhook)
+      if (runAsync) {
+        const job = rcaJobs.create(async () => {
+          const response = await claudeExecutor.execute(openAiRequest, {
+            input_format: 'text',
+            output_format: 'json',
+            owner: req.apiKey?.name
+          });
+          recordUsage(req, response.usage);
+
+          // Das Ergebnis erreicht den Client erst per Polling/Webhook: eigener Audit-Eintrag
+          const result = toRcaResponse(response);
+          auditLog.record({
+            request_id: req.id,
+            api_key: req.apiKey?.name || null,
+            endpoint: req.path,
+            model: openAiRequest.model,
+            async_job: true,
+            request: req.body,
+            response: result,
+            usage: result.usage
+          });
+          return result;
+        }, { owner: req.apiKey?.name, callbackUrl: callback_url });
+
+        res.setHeader('Location', `/api/rca/jobs/${job.id}`);
+        return res.status(202).json(rcaJobs.toPublic(job));
+      }
+
       // Claude Code ausführen (JSON output für RCA)
-      const response = await claudeExecutor.execute(openAiRequest, {
+      const response = await executeWithCache(req, res, openAiRequest, {
         input_format: 'text',
         output_format: 'json'
       });
 
       // Vereinfachte Response für RCA
-      res.json({
-        id: response.id,
-        analysis: response.choices[0]?.message?.content || '',
-        model: response.model,
-        created: response.created,
-        usage: response.usage
-      });
+      res.json(toRcaResponse(response));
 
       logger.info('RCA analysis successful', {
         requestId: req.id,
         totalTokens: response.usage?.total_tokens
       });
     } catch (error) {
-      error.statusCode = 500;
-      error.type = 'rca_execution_error';
+      error.statusCode = error.statusCode || 500;
+      error.type = error.type || 'rca_execution_error';
+      next(error);
+    }
+  }
+);
+
+/**
+ * Status eines asynchronen RCA Jobs
+ * GET /api/rca/jobs/:id
+ *
+ * status: queued | running | succeeded | failed
+ * result enthält nach Erfolg dieselbe Struktur wie die synchrone RCA-Response
+ */
+app.get('/api/rca/jobs/:id',
+  authMiddleware,
+  (req, res) => {
+    const job = rcaJobs.get(req.params.id);
+
+    if (!job || !isOwnerOrAdmin(req, job)) {
+      return res.status(404).json({
+        error: {
+          message: `RCA job '${req.params.id}' not found`,
+          type: 'invalid_request_error',
+          code: 'rca_job_not_found'
+        }
+      });
+    }
+
+    res.json(rcaJobs.toPublic(job));
+  }
+);
+
+/**
+ * Konvertiert eine Chat-Completion in die vereinfachte RCA-Response
+ */
+function toRcaResponse(response) {
+  return {
+    id: response.id,
+    analysis: response.choices[0]?.message?.content || '',
+    model: response.model,
+    created: response.created,
+    usage: response.usage,
+    conversation_id: response.conversation_id,
+    steps: response.steps
+  };
+}
+
+/**
+ * Batch API
+ * POST /v1/batches              - JSONL-Datei einreichen (ein Request pro Zeile)
+ * GET  /v1/batches              - Batches auflisten
+ * GET  /v1/batches/:id          - Status und Zähler
+ * GET  /v1/batches/:id/results  - Ergebnisse als JSONL (custom_id pro Zeile)
+ * POST /v1/batches/:id/cancel   - Batch abbrechen
+ *
+ * Batches werden im Hintergrund mit begrenzter Parallelität verarbeitet
+ * und überstehen einen Neustart des Servers.
+ */
+app.post('/v1/batches',
+  authMiddleware,
+  auditMiddleware,
+  apiKeyRateLimitMiddleware,
+  budgetMiddleware,
+  express.text({
+    type: ['application/jsonl', 'application/x-ndjson', 'text/plain'],
+    limit: config.batch.maxInputSize
+  }),
+  (req, res, next) => {
+    try {
+      if (typeof req.body !== 'string') {
+        return res.status(400).json({
+          error: {
+            message: 'Batch input must be sent as JSONL (Content-Type: application/jsonl)',
+            type: 'invalid_request_error',
+            code: 'invalid_batch_input'
+          }
+        });
+      }
+
+      const requests = batchManager.parseInput(req.body, req.apiKey);
+      const batch = batchManager.create(requests, { owner: req.apiKey?.name });
+
+      logger.info('Batch submitted', {
+        requestId: req.id,
+        apiKey: req.apiKey?.name,
+        batchId: batch.id,
+        requests: requests.length
+      });
+
+      res.json(batch);
+    } catch (error) {
+      error.statusCode = error.statusCode || 500;
+      error.type = error.type || 'batch_error';
       next(error);
     }
   }
 );
 
+app.get('/v1/batches',
+  authMiddleware,
+  (req, res) => {
+    const batches = batchManager.list(null).filter(batch => isOwnerOrAdmin(req, batch));
+    res.json({
+      object: 'list',
+      data: batches.map(batch => batchManager.toPublic(batch))
+    });
+  }
+);
+
+app.get('/v1/batches/:id',
+  authMiddleware,
+  findBatch,
+  (req, res) => {
+    res.json(batchManager.toPublic(req.batch));
+  }
+);
+
+app.get('/v1/batches/:id/results',
+  authMiddleware,
+  findBatch,
+  (req, res, next) => {
+    res.setHeader('Content-Type', 'application/jsonl');
+    res.sendFile(path.resolve(batchManager.resultsFile(req.batch.id)), (error) => {
+      if (error) next(error);
+    });
+  }
+);
+
+app.post('/v1/batches/:id/cancel',
+  authMiddleware,
+  findBatch,
+  (req, res) => {
+    const batch = batchManager.cancel(req.batch.id);
+    logger.info('Batch cancel requested', {
+      requestId: req.id,
+      apiKey: req.apiKey?.name,
+      batchId: batch.id
+    });
+    res.json(batchManager.toPublic(batch));
+  }
+);
+
+/**
+ * Prüft ob der Aufrufer einen Batch, RCA Job oder laufenden Request sehen darf (eigener Key oder Admin)
+ */
+function isOwnerOrAdmin(req, resource) {
+  return !config.auth.enabled || req.apiKey?.admin || resource.owner === req.apiKey?.name;
+}
+
+/**
+ * Middleware: Lädt den Batch aus :id nach req.batch (404 wenn unbekannt oder fremd)
+ */
+function findBatch(req, res, next) {
+  const batch = batchManager.get(req.params.id);
+
+  if (!batch || !isOwnerOrAdmin(req, batch)) {
+    return res.status(404).json({
+      error: {
+        message: `Batch '${req.params.id}' not found`,
+        type: 'invalid_request_error',
+        code: 'batch_not_found'
+      }
+    });
+  }
+
+  req.batch = batch;
+  next();
+}
+
+/**
+ * Budget Report
+ * GET /api/budgets
+ *
+ * Aktuelle Ausgaben (Tag/Monat, USD und Tokens) gegen die Budgets pro Scope.
+ * Admin-Keys (bzw. ohne Authentifizierung) sehen alle Scopes, andere Keys
+ * nur global, ihr Team und sich selbst.
+ */
+app.get('/api/budgets',
+  authMiddleware,
+  (req, res) => {
+    const all = !config.auth.enabled || req.apiKey?.admin;
+    res.json({
+      object: 'list',
+      data: costLedger.report(all ? null : req.apiKey)
+    });
+  }
+);
+
+/**
+ * Laufenden Request abbrechen
+ * DELETE /v1/requests/:id
+ *
+ * :id ist die Request-ID (Response-Header X-Request-ID) oder die vom Client
+ * gesendete X-Request-ID (Alias, nur für denselben Key). Der Request wird aus der
+ * Queue entfernt bzw. seine Claude Prozesse beendet; der Client des
+ * abgebrochenen Requests erhält einen Fehler mit Status 499 (cancelled_error).
+ */
+app.delete('/v1/requests/:id',
+  authMiddleware,
+  (req, res) => {
+    const entry = requestRegistry.get(req.params.id, req.apiKey?.name);
+
+    if (!entry || !isOwnerOrAdmin(req, entry)) {
+      return res.status(404).json({
+        error: {
+          message: `Request '${req.params.id}' not found or already finished`,
+          type: 'invalid_request_error',
+          code: 'request_not_found'
+        }
+      });
+    }
+
+    // Bereits abgebrochen (z.B. durch einen früheren DELETE oder Verbindungsabbruch)
+    if (!requestRegistry.cancel(entry.id, 'request_cancelled')) {
+      return res.status(409).json({
+        error: {
+          message: `Request '${req.params.id}' has already been cancelled`,
+          type: 'invalid_request_error',
+          code: 'request_already_cancelled'
+        }
+      });
+    }
+
+    logger.info('Request cancel requested', {
+      requestId: req.id,
+      apiKey: req.apiKey?.name,
+      cancelledRequestId: entry.id
+    });
+    res.json({
+      id: entry.id,
+      alias: entry.alias,
+      object: 'request',
+      status: 'cancelled',
+      path: entry.path
+    });
+  }
+);
+
+/**
+ * Response-Cache Administration
+ * GET /admin/cache    - Cache-Statistik
+ * DELETE /admin/cache - Cache leeren
+ */
+app.get('/admin/cache',
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    res.json(responseCache.stats());
+  }
+);
+
+app.delete('/admin/cache',
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    const cleared = responseCache.clear();
+    logger.info('Response cache cleared via admin endpoint', {
+      requestId: req.id,
+      apiKey: req.apiKey?.name,
+      cleared
+    });
+    res.json({ cleared });
+  }
+);
+
 /**
  * Server Info Endpoint
  * GET /
@@ -340,6 +990,16 @@ app.get('/', (req, res) => {
         method: 'GET',
         description: 'Health check endpoint'
       },
+      {
+        path: '/metrics',
+        method: 'GET',
+        description: 'Prometheus metrics'
+      },
+      {
+        path: '/v1/models',
+        method: 'GET',
+        description: 'List supported models (Anthropic format with anthropic-version header)'
+      },
       {
         path: '/v1/chat/completions',
         method: 'POST',
@@ -347,19 +1007,70 @@ app.get('/', (req, res) => {
         parameters: {
           input_format: 'text (default) | stream-json',
           output_format: 'text | json (default) | stream-json',
-          stream: 'boolean (deprecated, use output_format)'
+          stream: 'boolean (deprecated, use output_format)',
+          conversation_id: 'string (optional, continues a Claude CLI session)'
+        }
+      },
+      {
+        path: '/v1/completions',
+        method: 'POST',
+        description: 'OpenAI-compatible legacy text completions endpoint',
+        parameters: {
+          prompt: 'string | string[]',
+          suffix: 'string (optional)',
+          echo: 'boolean (optional)',
+          stream: 'boolean (single prompt only)'
+        }
+      },
+      {
+        path: '/v1/messages',
+        method: 'POST',
+        description: 'Anthropic-compatible messages endpoint',
+        parameters: {
+          stream: 'boolean (Anthropic SSE events)'
         }
       },
       {
         path: '/api/rca',
         method: 'POST',
-        description: 'Root Cause Analysis endpoint (always uses json output)'
+        description: 'Root Cause Analysis endpoint (always uses json output)',
+        parameters: {
+          async: 'boolean (returns 202 with job id)',
+          callback_url: 'string (signed webhook, async only)'
+        }
+      },
+      {
+        path: '/api/rca/jobs/:id',
+        method: 'GET',
+        description: 'Status and result of an asynchronous RCA job'
+      },
+      {
+        path: '/v1/batches',
+        method: 'GET | POST',
+        description: 'Batch API: submit JSONL requests, poll status, fetch results (/v1/batches/:id/results)'
+      },
+      {
+        path: '/v1/requests/:id',
+        method: 'DELETE',
+        description: 'Cancel a running request by its id or the client X-Request-ID'
+      },
+      {
+        path: '/api/budgets',
+        method: 'GET',
+        description: 'Current spend against daily/monthly budgets (per key, team, global)'
+      },
+      {
+        path: '/admin/cache',
+        method: 'GET | DELETE',
+        description: 'Response cache statistics / clear cache (admin)'
       }
     ],
     documentation: 'See README.md for API documentation',
     config: {
       rateLimitEnabled: config.rateLimit.enabled,
       authEnabled: config.auth.enabled,
+      responseCacheEnabled: config.cache.enabled,
+      mcpServers: mcpServers.names(),
       claudeModel: config.claude.defaultModel,
       supportedInputFormats: ['text', 'stream-json'],
       supportedOutputFormats: ['text', 'json', 'stream-json']
@@ -387,6 +1098,12 @@ let server;
  * Startet den HTTP Server
  */
 function startServer() {
+  // Ausgaben des laufenden Monats aus dem Ledger lesen (vor den Batches, die Kosten verbuchen)
+  costLedger.start();
+
+  // Gespeicherte Batches laden und unfertige fortsetzen
+  batchManager.start();
+
   server = app.listen(config.server.port, config.server.host, () => {
     logger.info('Server started successfully', {
       port: config.server.port,
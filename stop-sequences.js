@@ -0,0 +1,131 @@
+/**
+ * Stop Sequences
+ *
+ * The Claude CLI has no stop sequence option, so OpenAI `stop` and Anthropic
+ * `stop_sequences` are applied to the generated text by the server: complete
+ * answers are truncated at the first match, streamed deltas are held back
+ * just long enough to detect a match that spans several deltas.
+ */
+
+// Maximale Anzahl Stop-Sequenzen pro Request
+const MAX_STOP_SEQUENCES = 8;
+
+/**
+ * Normalisiert stop (String oder Array) zu einem Array
+ *
+ * @returns {string[]} Stop-Sequenzen (leer wenn keine angegeben)
+ */
+function normalize(stop) {
+  if (stop === undefined || stop === null) return [];
+  return Array.isArray(stop) ? stop : [stop];
+}
+
+/**
+ * Prüft stop bzw. stop_sequences eines Requests
+ *
+ * @param {*} stop - String oder Array von Strings
+ * @param {string} field - Feldname für die Fehlermeldung
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validate(stop, field) {
+  if (stop === undefined || stop === null) return null;
+
+  const sequences = normalize(stop);
+  if (sequences.length > MAX_STOP_SEQUENCES) {
+    return `${field} supports at most ${MAX_STOP_SEQUENCES} sequences`;
+  }
+  if (!sequences.every(seq => typeof seq === 'string' && seq.length > 0)) {
+    return `${field} must be a non-empty string or an array of non-empty strings`;
+  }
+  return null;
+}
+
+/**
+ * Sucht den frühesten Treffer einer Stop-Sequenz
+ *
+ * @returns {{index: number, sequence: string}|null}
+ */
+function findFirst(text, sequences) {
+  let match = null;
+  for (const sequence of sequences) {
+    const index = text.indexOf(sequence);
+    if (index !== -1 && (!match || index < match.index)) {
+      match = { index, sequence };
+    }
+  }
+  return match;
+}
+
+/**
+ * Schneidet einen Text an der ersten Stop-Sequenz ab
+ *
+ * @returns {{text: string, sequence: string|null}} Gekürzter Text und getroffene Sequenz
+ */
+function truncate(text, sequences) {
+  const match = findFirst(text || '', sequences);
+  if (!match) return { text, sequence: null };
+  return { text: text.substring(0, match.index), sequence: match.sequence };
+}
+
+/**
+ * Erstellt einen Filter für gestreamte Text-Deltas
+ *
+ * push() liefert den Text, der sicher gesendet werden kann. Das Ende wird
+ * zurückgehalten, solange es der Anfang einer Stop-Sequenz sein kann.
+ * Nach einem Treffer liefert der Filter keinen Text mehr.
+ *
+ * @param {string[]} sequences - Stop-Sequenzen
+ */
+function createStreamFilter(sequences) {
+  let pending = '';
+  let matched = null;
+
+  return {
+    push(text) {
+      if (matched) return '';
+      if (sequences.length === 0) return text;
+
+      pending += text;
+      const match = findFirst(pending, sequences);
+      if (match) {
+        matched = match.sequence;
+        const out = pending.substring(0, match.index);
+        pending = '';
+        return out;
+      }
+
+      // Längstes Suffix zurückhalten, das Präfix einer Stop-Sequenz ist
+      let hold = 0;
+      for (const sequence of sequences) {
+        for (let len = Math.min(sequence.length - 1, pending.length); len > hold; len--) {
+          if (pending.endsWith(sequence.substring(0, len))) {
+            hold = len;
+            break;
+          }
+        }
+      }
+
+      const out = pending.substring(0, pending.length - hold);
+      pending = pending.substring(pending.length - hold);
+      return out;
+    },
+
+    // Zurückgehaltenen Text freigeben (Ende eines Text-Blocks)
+    flush() {
+      const out = matched ? '' : pending;
+      pending = '';
+      return out;
+    },
+
+    get matched() {
+      return matched;
+    }
+  };
+}
+
+module.exports = {
+  normalize,
+  validate,
+  truncate,
+  createStreamFilter
+};
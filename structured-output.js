@@ -0,0 +1,165 @@
+/**
+ * Structured Outputs (JSON Mode)
+ *
+ * Emulates OpenAI `response_format` for the Claude CLI. The expected format
+ * is described to the model in a system instruction; the answer is then
+ * extracted and validated (JSON object or JSON schema via Ajv). Validation
+ * errors are turned into a follow-up message for the retry.
+ */
+
+const Ajv = require('ajv');
+
+// Kompilierte Validatoren pro Schema-Objekt (ein Request, inkl. Wiederholungen).
+// Jedes Schema bekommt eine eigene Ajv-Instanz: Schemas mit $id kollidieren so
+// nicht zwischen Requests, und der Cache wächst nicht mit jedem Request.
+const validators = new WeakMap();
+
+// Maximale Anzahl Validierungsfehler im Feedback an das Modell
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Prüft ob für den Request ein JSON-Format verlangt ist
+ */
+function isActive(request) {
+  const type = request.response_format?.type;
+  return type === 'json_object' || type === 'json_schema';
+}
+
+/**
+ * Prüft response_format eines Requests
+ *
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validateResponseFormat(responseFormat) {
+  if (responseFormat === undefined || responseFormat === null) return null;
+
+  if (typeof responseFormat !== 'object' || !['text', 'json_object', 'json_schema'].includes(responseFormat.type)) {
+    return "response_format.type must be 'text', 'json_object' or 'json_schema'";
+  }
+
+  if (responseFormat.type === 'json_schema') {
+    const schema = responseFormat.json_schema?.schema;
+    if (!schema || typeof schema !== 'object') {
+      return 'response_format.json_schema.schema must be a JSON schema object';
+    }
+    try {
+      compile(schema);
+    } catch (error) {
+      return `response_format.json_schema.schema is invalid: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Baut die System-Anweisung, die dem Modell das Antwortformat vorgibt
+ */
+function buildInstructions(request) {
+  const lines = [
+    'Respond ONLY with valid JSON. Do not add any explanation, markdown or code fences.'
+  ];
+
+  if (request.response_format.type === 'json_schema') {
+    const { name, description, schema } = request.response_format.json_schema;
+    lines.push(`The JSON must conform to the following JSON schema${name ? ` ("${name}")` : ''}:`);
+    if (description) {
+      lines.push(description);
+    }
+    lines.push(JSON.stringify(schema));
+  } else {
+    lines.push('The top-level value must be a JSON object.');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Extrahiert JSON aus der Antwort und prüft es gegen das verlangte Format
+ *
+ * @param {string|null} text - Antwort des Modells
+ * @param {Object} request - OpenAI-kompatibles Request-Objekt
+ * @returns {{valid: boolean, content: string|null, errors: string[]}}
+ *   content: bereinigter JSON-Text (ohne Code-Fences und umgebenden Text)
+ */
+function validate(text, request) {
+  const content = extractJson(text || '');
+  let value;
+
+  try {
+    value = JSON.parse(content);
+  } catch (error) {
+    return { valid: false, content: null, errors: [`Answer is not valid JSON: ${error.message}`] };
+  }
+
+  if (request.response_format.type === 'json_object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, content: null, errors: ['Top-level value must be a JSON object'] };
+    }
+    return { valid: true, content, errors: [] };
+  }
+
+  const check = compile(request.response_format.json_schema.schema);
+  if (!check(value)) {
+    const errors = check.errors
+      .slice(0, MAX_REPORTED_ERRORS)
+      .map(err => `${err.instancePath || '/'} ${err.message}`);
+    return { valid: false, content: null, errors };
+  }
+
+  return { valid: true, content, errors: [] };
+}
+
+/**
+ * Kompiliert ein JSON Schema (einmal pro Schema-Objekt)
+ *
+ * @throws {Error} Ungültiges Schema
+ */
+function compile(schema) {
+  let check = validators.get(schema);
+  if (!check) {
+    check = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    validators.set(schema, check);
+  }
+  return check;
+}
+
+/**
+ * Baut die Nachricht, mit der das Modell zur Korrektur aufgefordert wird
+ */
+function buildRetryMessage(errors) {
+  return [
+    'Your previous answer did not match the required JSON format:',
+    ...errors.map(error => `- ${error}`),
+    'Answer again with ONLY the corrected JSON.'
+  ].join('\n');
+}
+
+/**
+ * Entfernt Code-Fences und Text um das JSON herum
+ */
+function extractJson(text) {
+  const trimmed = text.trim();
+
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(trimmed);
+  if (fenced) {
+    return fenced[1];
+  }
+
+  // Erstes öffnendes bis letztes schließendes Zeichen (Erklärungstext drumherum)
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    return trimmed.substring(start, end + 1);
+  }
+
+  return trimmed;
+}
+
+module.exports = {
+  isActive,
+  validateResponseFormat,
+  buildInstructions,
+  validate,
+  buildRetryMessage
+};
@@ -122,6 +122,42 @@ async function testServerInfo() {
   }
 }
 
+/**
+ * Test 2b: Model List
+ */
+async function testModelList() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 2b: Model List ===${colors.reset}`);
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (API_KEY) {
+    headers['X-API-Key'] = API_KEY;
+  }
+
+  try {
+    const response = await sendRequest({
+      hostname: HOST,
+      port: PORT,
+      path: '/v1/models',
+      method: 'GET',
+      headers: headers
+    });
+
+    console.log(`${colors.green}✓ Status: ${response.statusCode}${colors.reset}`);
+    console.log(`${colors.cyan}Response:${colors.reset}`);
+    console.log(JSON.stringify(response.body, null, 2));
+
+    return response.statusCode === 200 &&
+      response.body.object === 'list' &&
+      response.body.data.some(model => model.id === 'sonnet');
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
 /**
  * Test 3: Chat Completion (Einfach)
  */
@@ -181,6 +217,52 @@ async function testChatCompletion() {
   }
 }
 
+/**
+ * Test 3b: Legacy Completion
+ */
+async function testLegacyCompletion() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 3b: Legacy Completion ===${colors.reset}`);
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (API_KEY) {
+    headers['X-API-Key'] = API_KEY;
+  }
+
+  const requestData = {
+    model: 'sonnet',
+    prompt: 'Die Hauptstadt von Frankreich ist',
+    max_tokens: 20,
+    echo: true
+  };
+
+  console.log(`${colors.cyan}Request:${colors.reset}`);
+  console.log(JSON.stringify(requestData, null, 2));
+
+  try {
+    const response = await sendRequest({
+      hostname: HOST,
+      port: PORT,
+      path: '/v1/completions',
+      method: 'POST',
+      headers: headers
+    }, requestData);
+
+    console.log(`${colors.green}✓ Status: ${response.statusCode}${colors.reset}`);
+    console.log(`${colors.cyan}Response:${colors.reset}`);
+    console.log(JSON.stringify(response.body, null, 2));
+
+    return response.statusCode === 200 &&
+      response.body.object === 'text_completion' &&
+      response.body.choices[0].text.startsWith(requestData.prompt);
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
 /**
  * Test 4: RCA Endpoint
  */
@@ -233,6 +315,561 @@ async function testRCAEndpoint() {
   }
 }
 
+/**
+ * Test 4b: Asynchroner RCA Job (202 + Polling)
+ */
+async function testAsyncRCAJob() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4b: Async RCA Job ===${colors.reset}`);
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (API_KEY) {
+    headers['X-API-Key'] = API_KEY;
+  }
+
+  const requestData = {
+    prompt: 'Analysiere kurz: Eine Datenbank-Verbindung bricht regelmäßig ab. Was könnten die Ursachen sein?',
+    max_tokens: 200,
+    async: true
+  };
+
+  try {
+    const startTime = Date.now();
+
+    const created = await sendRequest({
+      hostname: HOST,
+      port: PORT,
+      path: '/api/rca',
+      method: 'POST',
+      headers: headers
+    }, requestData);
+
+    console.log(`${colors.green}✓ Status: ${created.statusCode}${colors.reset}`);
+    console.log(`${colors.cyan}Job:${colors.reset} ${created.body.id} (${created.body.status})`);
+
+    if (created.statusCode !== 202) {
+      return false;
+    }
+
+    // Polling bis der Job abgeschlossen ist (max. 5 Minuten)
+    let job = created.body;
+    while (!['succeeded', 'failed'].includes(job.status) && Date.now() - startTime < 300000) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const response = await sendRequest({
+        hostname: HOST,
+        port: PORT,
+        path: `/api/rca/jobs/${created.body.id}`,
+        method: 'GET',
+        headers: headers
+      });
+      job = response.body;
+    }
+
+    console.log(`${colors.yellow}Duration: ${Date.now() - startTime}ms${colors.reset}`);
+    console.log(`${colors.cyan}Response:${colors.reset}`);
+    console.log(JSON.stringify(job, null, 2));
+
+    return job.status === 'succeeded' && !!job.result?.analysis;
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4c: Budget Report (Ausgaben der vorherigen Tests im Kosten-Ledger)
+ */
+async function testBudgetReport() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4c: Budget Report ===${colors.reset}`);
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (API_KEY) {
+    headers['X-API-Key'] = API_KEY;
+  }
+
+  try {
+    const response = await sendRequest({
+      hostname: HOST,
+      port: PORT,
+      path: '/api/budgets',
+      method: 'GET',
+      headers: headers
+    });
+
+    console.log(`${colors.green}✓ Status: ${response.statusCode}${colors.reset}`);
+    console.log(`${colors.cyan}Response:${colors.reset}`);
+    console.log(JSON.stringify(response.body, null, 2));
+
+    const global = response.body.data?.find(entry => entry.scope === 'global');
+    return response.statusCode === 200 && global?.spend.daily.tokens > 0;
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4d: Abbruch eines unbekannten Requests (DELETE /v1/requests/:id)
+ */
+async function testCancelUnknownRequest() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4d: Cancel Unknown Request ===${colors.reset}`);
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (API_KEY) {
+    headers['X-API-Key'] = API_KEY;
+  }
+
+  try {
+    const response = await sendRequest({
+      hostname: HOST,
+      port: PORT,
+      path: '/v1/requests/does-not-exist',
+      method: 'DELETE',
+      headers: headers
+    });
+
+    console.log(`${colors.green}✓ Status: ${response.statusCode}${colors.reset}`);
+    console.log(`${colors.cyan}Response:${colors.reset}`);
+    console.log(JSON.stringify(response.body, null, 2));
+
+    return response.statusCode === 404 && response.body.error?.code === 'request_not_found';
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4e: Prompt-Scrubbing (lokal, ohne Server)
+ *
+ * Secrets in Message-Texten und Tool-Call-Argumenten werden ersetzt, die
+ * Antwort zurückübersetzt; Platzhalter bleiben über Conversation-Turns stabil.
+ */
+async function testPromptScrubbing() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4e: Prompt Scrubbing ===${colors.reset}`);
+
+  try {
+    // Eigener Scrubber, unabhängig von PROMPT_SCRUBBING_* des Test-Prozesses
+    const promptScrubber = require('./prompt-scrubber').createScrubber({
+      enabled: true,
+      detectors: null,
+      rulesFile: null,
+      restore: true
+    });
+
+    const turn1 = promptScrubber.createSession('test-scrubbing-1');
+    const scrubbed = turn1.scrub({
+      messages: [
+        { role: 'user', content: 'db password=hunter2 from 10.0.0.5' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'ssh', arguments: '{"host":"10.0.0.5"}' } }]
+        }
+      ]
+    });
+
+    // Zweiter Turn mit der gespeicherten Zuordnung
+    const turn2 = promptScrubber.createSession('test-scrubbing-2', turn1.state());
+    const followUp = turn2.scrubText('10.0.0.6 and 10.0.0.5');
+
+    const prompt = JSON.stringify(scrubbed);
+    const result = {
+      content: scrubbed.messages[0].content,
+      arguments: scrubbed.messages[1].tool_calls[0].function.arguments,
+      followUp,
+      restored: turn2.restore('[IP_1] / [IP_2] / [PASSWORD_1]')
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    return !prompt.includes('hunter2') &&
+      !prompt.includes('10.0.0.5') &&
+      result.arguments === '{"host":"[IP_1]"}' &&
+      result.followUp === '[IP_2] and [IP_1]' &&
+      result.restored === '10.0.0.5 / 10.0.0.6 / hunter2';
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4f: Tool-Policy (lokal, ohne Server)
+ *
+ * tool_policy im Request darf die Policy des Keys nur einschränken.
+ */
+async function testToolPolicyNarrowing() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4f: Tool Policy Narrowing ===${colors.reset}`);
+
+  const toolPolicy = require('./tool-policy');
+  const apiKey = {
+    name: 'test',
+    toolPolicy: { permissionMode: 'default', allowedTools: ['Read', 'Bash(git log:*)'], maxTurns: 5 }
+  };
+
+  const statusOf = (requested) => {
+    try {
+      toolPolicy.resolve(apiKey, requested);
+      return 200;
+    } catch (error) {
+      return `${error.statusCode} ${error.code}`;
+    }
+  };
+
+  try {
+    const result = {
+      narrower: statusOf({ permission_mode: 'plan', allowed_tools: ['Bash(git log:*)'], max_turns: 3 }),
+      permissionMode: statusOf({ permission_mode: 'bypassPermissions' }),
+      allowedTools: statusOf({ allowed_tools: ['Read', 'Bash'] }),
+      maxTurns: statusOf({ max_turns: 50 })
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    const violation = '403 tool_policy_violation';
+    return result.narrower === 200 &&
+      result.permissionMode === violation &&
+      result.allowedTools === violation &&
+      result.maxTurns === violation;
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4g: Workspace-Allowlist (lokal, ohne Server)
+ *
+ * Pfade außerhalb der Basis und Symlinks, die aus ihr herausführen, werden abgelehnt.
+ */
+async function testWorkspaceEscape() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4g: Workspace Escape ===${colors.reset}`);
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const config = require('./config');
+  const workspace = require('./workspace');
+  const { roots } = config.workspace;
+
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-test-'));
+  const root = path.join(base, 'root');
+  const outside = path.join(base, 'outside');
+  fs.mkdirSync(path.join(root, 'project'), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.symlinkSync(outside, path.join(root, 'escape'));
+
+  const statusOf = (requested) => {
+    try {
+      workspace.resolve(requested);
+      return 200;
+    } catch (error) {
+      return `${error.statusCode} ${error.code}`;
+    }
+  };
+
+  try {
+    config.workspace.roots = [root];
+
+    const result = {
+      inside: statusOf(path.join(root, 'project')),
+      dotDot: statusOf(`${root}/project/../../outside`),
+      symlink: statusOf(path.join(root, 'escape')),
+      outside: statusOf(outside)
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    const notAllowed = '403 workspace_not_allowed';
+    return result.inside === 200 &&
+      result.dotDot === notAllowed &&
+      result.symlink === notAllowed &&
+      result.outside === notAllowed;
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  } finally {
+    config.workspace.roots = roots;
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 4h: Stop-Sequenzen (lokal, ohne Server)
+ *
+ * Vollständige Antworten werden am ersten Treffer abgeschnitten; der Stream-Filter
+ * erkennt auch Treffer, die über mehrere Deltas verteilt sind.
+ */
+async function testStopSequences() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4h: Stop Sequences ===${colors.reset}`);
+
+  try {
+    const stopSequences = require('./stop-sequences');
+
+    const filter = stopSequences.createStreamFilter(['END', '\n\n']);
+    const streamed = ['one EN', 'D two', ' three'].map(delta => filter.push(delta)).join('') + filter.flush();
+
+    const held = stopSequences.createStreamFilter(['END']);
+    const heldOut = held.push('almost E');
+    const heldFlush = held.flush();
+
+    const result = {
+      truncated: stopSequences.truncate('first\n\nsecond END third', ['END', '\n\n']),
+      untouched: stopSequences.truncate('no match here', ['END']),
+      streamed,
+      matched: filter.matched,
+      heldOut,
+      heldFlush,
+      tooMany: stopSequences.validate(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'], 'stop'),
+      empty: stopSequences.validate([''], 'stop')
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    return result.truncated.text === 'first' &&
+      result.truncated.sequence === '\n\n' &&
+      result.untouched.text === 'no match here' &&
+      result.untouched.sequence === null &&
+      result.streamed === 'one ' &&
+      result.matched === 'END' &&
+      result.heldOut === 'almost ' &&
+      result.heldFlush === 'E' &&
+      result.tooMany !== null &&
+      result.empty !== null;
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4i: Tool-Calls parsen (lokal, ohne Server)
+ *
+ * Nur Blöcke mit gültigem JSON und bekanntem Funktionsnamen werden zu tool_calls,
+ * alle anderen bleiben Teil des Textes.
+ */
+async function testToolCallParsing() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4i: Tool Call Parsing ===${colors.reset}`);
+
+  try {
+    const toolCalling = require('./tool-calling');
+    const request = {
+      tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }]
+    };
+
+    const answer = [
+      'Let me check.',
+      '<tool_call>{"name": "get_weather", "arguments": {"city": "Berlin"}}</tool_call>',
+      '<tool_call>{"name": "rm_rf", "arguments": {}}</tool_call>',
+      '<tool_call>not json</tool_call>'
+    ].join('\n');
+
+    const parsed = toolCalling.parseToolCalls(answer, request);
+    const onlyCall = toolCalling.parseToolCalls(
+      '<tool_call>\n{"name": "get_weather", "arguments": "{\\"city\\":\\"Paris\\"}"}\n</tool_call>', request);
+
+    const result = {
+      content: parsed.content,
+      toolCalls: parsed.toolCalls,
+      onlyCallContent: onlyCall.content,
+      onlyCallArguments: onlyCall.toolCalls[0]?.function.arguments
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    return parsed.toolCalls.length === 1 &&
+      parsed.toolCalls[0].type === 'function' &&
+      parsed.toolCalls[0].id.startsWith('call_') &&
+      parsed.toolCalls[0].function.name === 'get_weather' &&
+      parsed.toolCalls[0].function.arguments === '{"city":"Berlin"}' &&
+      parsed.content.startsWith('Let me check.') &&
+      parsed.content.includes('rm_rf') &&
+      parsed.content.includes('not json') &&
+      result.onlyCallContent === null &&
+      result.onlyCallArguments === '{"city":"Paris"}';
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4j: response_format (lokal, ohne Server)
+ *
+ * Ungültige Formate werden abgelehnt; Antworten werden aus Code-Fences
+ * extrahiert und gegen das Schema geprüft.
+ */
+async function testResponseFormatValidation() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4j: Response Format Validation ===${colors.reset}`);
+
+  try {
+    const structuredOutput = require('./structured-output');
+    const request = {
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: 'answer',
+          schema: {
+            $id: 'https://example.com/answer.json',
+            type: 'object',
+            properties: { answer: { type: 'integer' } },
+            required: ['answer']
+          }
+        }
+      }
+    };
+
+    const result = {
+      unknownType: structuredOutput.validateResponseFormat({ type: 'xml' }),
+      missingSchema: structuredOutput.validateResponseFormat({ type: 'json_schema', json_schema: {} }),
+      invalidSchema: structuredOutput.validateResponseFormat({
+        type: 'json_schema',
+        json_schema: { schema: { type: 'no-such-type' } }
+      }),
+      validFormat: structuredOutput.validateResponseFormat(request.response_format),
+      fenced: structuredOutput.validate('```json\n{"answer": 42}\n```', request),
+      wrongType: structuredOutput.validate('Here you go: {"answer": "42"}', request),
+      // Gleiches Schema mit $id ein zweites Mal (Wiederholung im selben Request)
+      repeated: structuredOutput.validate('{"answer": 7}', request),
+      notObject: structuredOutput.validate('[1, 2]', { response_format: { type: 'json_object' } })
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    return result.unknownType !== null &&
+      result.missingSchema !== null &&
+      result.invalidSchema !== null &&
+      result.validFormat === null &&
+      result.fenced.valid && result.fenced.content === '{"answer": 42}' &&
+      !result.wrongType.valid && result.wrongType.errors.length > 0 &&
+      result.repeated.valid &&
+      !result.notObject.valid;
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4k: Batch-Eingabe prüfen (lokal, ohne Server)
+ *
+ * Ungültige Zeilen lehnen den ganzen Batch ab, mit Zeilennummer in der Meldung.
+ */
+async function testBatchInputValidation() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4k: Batch Input Validation ===${colors.reset}`);
+
+  const batchManager = require('./batch-manager');
+  const line = (customId, body) => JSON.stringify({
+    custom_id: customId,
+    method: 'POST',
+    url: '/v1/chat/completions',
+    body: body || { messages: [{ role: 'user', content: 'Hi' }] }
+  });
+
+  const outcomeOf = (jsonl, apiKey) => {
+    try {
+      return `${batchManager.parseInput(jsonl, apiKey).length} requests`;
+    } catch (error) {
+      return `${error.statusCode} ${error.code}: ${error.message}`;
+    }
+  };
+
+  try {
+    const result = {
+      valid: outcomeOf(`${line('a')}\n\n${line('b')}\n`),
+      empty: outcomeOf('\n'),
+      invalidJson: outcomeOf(`${line('a')}\n{not json`),
+      duplicate: outcomeOf(`${line('a')}\n${line('a')}`),
+      invalidBody: outcomeOf(`${line('a')}\n${line('b', { messages: [] })}`),
+      conversation: outcomeOf(line('a', { messages: [{ role: 'user', content: 'Hi' }], conversation_id: 'c1' })),
+      model: outcomeOf(line('a', { model: 'opus', messages: [{ role: 'user', content: 'Hi' }] }), { name: 'test', models: ['haiku'] })
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    const invalid = '400 invalid_batch_input';
+    return result.valid === '2 requests' &&
+      result.empty.startsWith(invalid) &&
+      result.invalidJson.startsWith(`${invalid}: Line 2:`) &&
+      result.duplicate.startsWith(`${invalid}: Line 2:`) &&
+      result.invalidBody.startsWith(`${invalid}: Line 2:`) &&
+      result.conversation.startsWith(`${invalid}: Line 1:`) &&
+      result.model.startsWith('403 model_not_allowed: Line 1:');
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Test 4l: Conversation-Zugehörigkeit (lokal, ohne Server)
+ *
+ * Eine Conversation gehört dem Key, der sie begonnen hat; ein anderer Key mit
+ * derselben conversation_id bekommt eine eigene Session.
+ */
+async function testConversationOwnership() {
+  console.log(`\n${colors.bright}${colors.blue}=== Test 4l: Conversation Ownership ===${colors.reset}`);
+
+  const conversationStore = require('./conversation-store');
+  const request = { conversation_id: 'test-ownership-1', messages: [] };
+
+  try {
+    conversationStore.save(conversationStore.lookup(request, 'alice'), 'session-alice', '/tmp');
+
+    const alice = conversationStore.lookup(request, 'alice');
+    const bob = conversationStore.lookup(request, 'bob');
+    conversationStore.save(bob, 'session-bob');
+
+    let invalidId;
+    try {
+      conversationStore.lookup({ conversation_id: 'no spaces allowed' }, 'alice');
+    } catch (error) {
+      invalidId = `${error.statusCode} ${error.code}`;
+    }
+
+    const result = {
+      alice: alice.sessionId,
+      aliceWorkspace: alice.workspace,
+      bobBeforeSave: bob.sessionId,
+      bobAfterSave: conversationStore.lookup(request, 'bob').sessionId,
+      aliceAfterBob: conversationStore.lookup(request, 'alice').sessionId,
+      invalidId
+    };
+
+    console.log(`${colors.cyan}Result:${colors.reset}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    return result.alice === 'session-alice' &&
+      result.aliceWorkspace === '/tmp' &&
+      result.bobBeforeSave === null &&
+      result.bobAfterSave === 'session-bob' &&
+      result.aliceAfterBob === 'session-alice' &&
+      result.invalidId === '400 invalid_conversation_id';
+  } catch (error) {
+    console.log(`${colors.red}✗ Error: ${error.message}${colors.reset}`);
+    return false;
+  } finally {
+    conversationStore.forget({ id: request.conversation_id, owner: 'alice' });
+    conversationStore.forget({ id: request.conversation_id, owner: 'bob' });
+  }
+}
+
 /**
  * Test 5: Error-Handling (ungültige Request)
  */
@@ -286,8 +923,21 @@ async function runAllTests() {
   // Tests ausführen
   results.push({ name: 'Health Check', passed: await testHealthCheck() });
   results.push({ name: 'Server Info', passed: await testServerInfo() });
+  results.push({ name: 'Model List', passed: await testModelList() });
   results.push({ name: 'Chat Completion', passed: await testChatCompletion() });
+  results.push({ name: 'Legacy Completion', passed: await testLegacyCompletion() });
   results.push({ name: 'RCA Endpoint', passed: await testRCAEndpoint() });
+  results.push({ name: 'Async RCA Job', passed: await testAsyncRCAJob() });
+  results.push({ name: 'Budget Report', passed: await testBudgetReport() });
+  results.push({ name: 'Cancel Unknown Request', passed: await testCancelUnknownRequest() });
+  results.push({ name: 'Prompt Scrubbing', passed: await testPromptScrubbing() });
+  results.push({ name: 'Tool Policy Narrowing', passed: await testToolPolicyNarrowing() });
+  results.push({ name: 'Workspace Escape', passed: await testWorkspaceEscape() });
+  results.push({ name: 'Stop Sequences', passed: await testStopSequences() });
+  results.push({ name: 'Tool Call Parsing', passed: await testToolCallParsing() });
+  results.push({ name: 'Response Format Validation', passed: await testResponseFormatValidation() });
+  results.push({ name: 'Batch Input Validation', passed: await testBatchInputValidation() });
+  results.push({ name: 'Conversation Ownership', passed: await testConversationOwnership() });
   results.push({ name: 'Error Handling', passed: await testErrorHandling() });
 
   // Zusammenfassung
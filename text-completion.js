@@ -0,0 +1,117 @@
+/**
+ * Legacy Text Completions
+ *
+ * Maps OpenAI `/v1/completions` requests (prompt string or array, suffix,
+ * echo) onto chat requests for the Claude executors and converts the chat
+ * responses back into `text_completion` objects.
+ */
+
+const usageReport = require('./usage');
+
+/**
+ * Normalisiert prompt (String oder Array von Strings) zu einem Array
+ */
+function normalizePrompts(prompt) {
+  return Array.isArray(prompt) ? prompt : [prompt];
+}
+
+/**
+ * Prüft prompt eines Completion-Requests
+ *
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validatePrompt(prompt) {
+  if (typeof prompt === 'string') return null;
+
+  if (Array.isArray(prompt) && prompt.length > 0 && prompt.every(p => typeof p === 'string')) {
+    return null;
+  }
+
+  return 'prompt must be a string or a non-empty array of strings (token arrays are not supported)';
+}
+
+/**
+ * Baut die System-Anweisung für eine reine Text-Fortsetzung
+ */
+function buildInstructions(suffix) {
+  const lines = [
+    'You are a text completion engine. Continue the text given by the user exactly where it ends.',
+    'Output ONLY the continuation: do not repeat the text, do not add explanations, greetings or code fences.'
+  ];
+
+  if (suffix) {
+    lines.push('The continuation must fit seamlessly before the following suffix, which is NOT part of your output:');
+    lines.push(suffix);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Konvertiert einen Completion-Request für einen Prompt in einen Chat-Request
+ *
+ * @param {Object} body - Request-Body von /v1/completions
+ * @param {string} prompt - Einzelner Prompt
+ * @returns {Object} OpenAI-kompatibles Chat-Request-Objekt
+ */
+function toChatRequest(body, prompt) {
+  return {
+    model: body.model,
+    messages: [
+      { role: 'system', content: buildInstructions(body.suffix) },
+      { role: 'user', content: prompt }
+    ],
+    max_tokens: body.max_tokens,
+    temperature: body.temperature,
+    n: body.n,
+    stop: body.stop,
+    workspace: body.workspace,
+    tool_policy: body.tool_policy,
+    mcp_servers: body.mcp_servers
+  };
+}
+
+/**
+ * Konvertiert Chat-Responses (eine pro Prompt) in ein text_completion Objekt
+ *
+ * Choices werden wie bei OpenAI pro Prompt hintereinander nummeriert
+ * (Prompt 0: Index 0..n-1, Prompt 1: Index n..2n-1, ...).
+ *
+ * @param {Array<Object>} responses - Chat-Responses in Prompt-Reihenfolge
+ * @param {string[]} prompts - Prompts in derselben Reihenfolge
+ * @param {Object} body - Request-Body von /v1/completions (echo)
+ */
+function toTextCompletion(responses, prompts, body) {
+  const choices = [];
+  const usage = usageReport.empty();
+
+  responses.forEach((response, promptIndex) => {
+    for (const choice of response.choices) {
+      const text = choice.message.content || '';
+      choices.push({
+        text: body.echo ? prompts[promptIndex] + text : text,
+        index: choices.length,
+        logprobs: null,
+        finish_reason: choice.finish_reason
+      });
+    }
+
+    usageReport.add(usage, response.usage);
+  });
+
+  return {
+    id: responses[0].id.replace(/^chatcmpl-/, 'cmpl-'),
+    object: 'text_completion',
+    created: responses[0].created,
+    model: responses[0].model,
+    choices,
+    usage
+  };
+}
+
+module.exports = {
+  normalizePrompts,
+  validatePrompt,
+  toChatRequest,
+  toTextCompletion
+};
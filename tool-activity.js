@@ -0,0 +1,84 @@
+/**
+ * Agent Tool Activity
+ *
+ * Extracts the tools Claude used during a run (tool_use blocks of assistant
+ * messages, tool_result blocks of the following user messages) from the CLI
+ * stream-json events. Opt-in per request with `include_tool_activity: true`:
+ * streamed as separate SSE events, or as `steps` in non-streaming responses.
+ *
+ * Step format:
+ *   { type: "tool_use", index, id, name, input }
+ *   { type: "tool_result", index, tool_use_id, content, is_error, truncated? }
+ */
+
+const config = require('./config');
+
+/**
+ * Prüft ob der Request die Tool-Aktivität anfordert
+ */
+function isRequested(request) {
+  return request.include_tool_activity === true;
+}
+
+/**
+ * Liefert die Tool-Schritte eines CLI stream-json Events
+ *
+ * @param {Object} event - Geparstes stream-json Event
+ * @param {number} index - Choice-Index
+ * @returns {Array<Object>} Schritte (leer bei anderen Events)
+ */
+function extractSteps(event, index = 0) {
+  if ((event.type !== 'assistant' && event.type !== 'user') || !Array.isArray(event.message?.content)) {
+    return [];
+  }
+
+  const steps = [];
+  for (const block of event.message.content) {
+    if (block.type === 'tool_use') {
+      steps.push({
+        type: 'tool_use',
+        index,
+        id: block.id,
+        name: block.name,
+        input: block.input
+      });
+    } else if (block.type === 'tool_result') {
+      steps.push({
+        type: 'tool_result',
+        index,
+        tool_use_id: block.tool_use_id,
+        ...truncate(resultText(block.content)),
+        is_error: block.is_error === true
+      });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Text eines tool_result (String oder Content-Blocks; Bilder werden nur markiert)
+ */
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .map(block => block.type === 'text' ? block.text : `[${block.type}]`)
+    .join('\n');
+}
+
+/**
+ * Kürzt lange Tool-Ergebnisse (z.B. komplette Dateien) auf CLAUDE_TOOL_RESULT_MAX_LENGTH
+ */
+function truncate(text) {
+  const maxLength = config.claude.toolResultMaxLength;
+  if (text.length <= maxLength) {
+    return { content: text };
+  }
+  return { content: text.substring(0, maxLength), truncated: true };
+}
+
+module.exports = {
+  isRequested,
+  extractSteps
+};
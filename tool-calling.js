@@ -0,0 +1,124 @@
+/**
+ * OpenAI Function/Tool Calling Emulation
+ *
+ * The Claude CLI has no notion of client-defined tools. Tool definitions are
+ * therefore described to the model in a system instruction, and tool calls are
+ * parsed back out of the answer and returned as OpenAI `tool_calls`.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Marker, mit denen das Modell Tool-Calls kennzeichnet
+const TOOL_CALL_OPEN = '<tool_call>';
+const TOOL_CALL_CLOSE = '</tool_call>';
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+
+/**
+ * Prüft ob für den Request Tool-Calling aktiv ist
+ */
+function isActive(request) {
+  return Array.isArray(request.tools) &&
+    request.tools.length > 0 &&
+    request.tool_choice !== 'none';
+}
+
+/**
+ * Baut die System-Anweisung, die dem Modell die verfügbaren Tools beschreibt
+ */
+function buildInstructions(request) {
+  const toolList = request.tools.map((tool) => {
+    const fn = tool.function;
+    return JSON.stringify({
+      name: fn.name,
+      description: fn.description || '',
+      parameters: fn.parameters || { type: 'object', properties: {} }
+    });
+  });
+
+  const lines = [
+    'You have access to the following client-side functions. They are executed by the caller, not by you.',
+    'Do not use any other tools to emulate them.',
+    '',
+    ...toolList,
+    '',
+    'To call one or more functions, answer ONLY with one block per call in exactly this form:',
+    `${TOOL_CALL_OPEN}`,
+    '{"name": "<function name>", "arguments": {<arguments as JSON object>}}',
+    `${TOOL_CALL_CLOSE}`,
+    'The results will be sent back to you in a following message.'
+  ];
+
+  const choice = request.tool_choice;
+  if (choice === 'required') {
+    lines.push('You MUST call at least one function in your answer.');
+  } else if (choice && typeof choice === 'object') {
+    lines.push(`You MUST call the function "${choice.function.name}" in your answer.`);
+  } else {
+    lines.push('If no function call is needed, answer normally without any tool_call block.');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formatiert die Tool-Calls einer Assistant-Message für das Text-Transkript
+ */
+function formatToolCalls(toolCalls) {
+  return toolCalls.map((call) => {
+    let args = call.function.arguments;
+    try {
+      args = JSON.parse(args);
+    } catch (e) {
+      // Argumente unverändert als String übernehmen
+    }
+    return `${TOOL_CALL_OPEN}\n${JSON.stringify({ name: call.function.name, arguments: args })}\n${TOOL_CALL_CLOSE}`;
+  }).join('\n');
+}
+
+/**
+ * Extrahiert Tool-Calls aus der Modell-Antwort
+ *
+ * @param {string} text - Antwort des Modells
+ * @param {Object} request - OpenAI-kompatibles Request-Objekt (für erlaubte Tool-Namen)
+ * @returns {{content: string|null, toolCalls: Array}} Restlicher Text und gefundene Tool-Calls
+ */
+function parseToolCalls(text, request) {
+  const knownNames = new Set(request.tools.map(tool => tool.function.name));
+  const toolCalls = [];
+
+  const remaining = (text || '').replace(TOOL_CALL_PATTERN, (match, body) => {
+    try {
+      const parsed = JSON.parse(body);
+      if (!knownNames.has(parsed.name)) {
+        return match;
+      }
+
+      toolCalls.push({
+        id: `call_${uuidv4().replace(/-/g, '').substring(0, 24)}`,
+        type: 'function',
+        function: {
+          name: parsed.name,
+          arguments: typeof parsed.arguments === 'string'
+            ? parsed.arguments
+            : JSON.stringify(parsed.arguments || {})
+        }
+      });
+      return '';
+    } catch (e) {
+      // Ungültiges JSON: Block als normalen Text belassen
+      return match;
+    }
+  }).trim();
+
+  return {
+    content: remaining || null,
+    toolCalls
+  };
+}
+
+module.exports = {
+  isActive,
+  buildInstructions,
+  formatToolCalls,
+  parseToolCalls
+};
@@ -0,0 +1,211 @@
+/**
+ * Tool Permission Policy
+ *
+ * Controls which Claude Code tools the CLI may use: permission mode, allowed
+ * and disallowed tools and the maximum number of agent turns. The policy is
+ * configured globally (CLAUDE_PERMISSION_MODE, CLAUDE_ALLOWED_TOOLS, ...),
+ * can be replaced per API key (`toolPolicy` in the key file) and narrowed -
+ * never widened - per request with `tool_policy`.
+ *
+ * Policy shape (as in requests):
+ *   { permission_mode, allowed_tools, disallowed_tools, max_turns }
+ *   allowed_tools: null = all tools; entries like "Bash(git log:*)" restrict a tool further
+ */
+
+const config = require('./config');
+const { createError } = require('./errors');
+
+// Permission Modes der Claude CLI, vom restriktivsten zum weitesten
+const PERMISSION_MODES = ['plan', 'default', 'acceptEdits', 'bypassPermissions'];
+
+/**
+ * Prüft eine Policy (Request-Format)
+ *
+ * @param {*} policy - Policy-Objekt
+ * @param {string} field - Feldname für die Fehlermeldung
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validate(policy, field) {
+  if (policy === undefined || policy === null) return null;
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return `${field} must be an object`;
+  }
+
+  const unknown = Object.keys(policy).filter(key =>
+    !['permission_mode', 'allowed_tools', 'disallowed_tools', 'max_turns'].includes(key));
+  if (unknown.length > 0) {
+    return `${field} has unknown fields: ${unknown.join(', ')}`;
+  }
+
+  if (policy.permission_mode !== undefined && !PERMISSION_MODES.includes(policy.permission_mode)) {
+    return `${field}.permission_mode must be one of: ${PERMISSION_MODES.join(', ')}`;
+  }
+
+  for (const list of ['allowed_tools', 'disallowed_tools']) {
+    const tools = policy[list];
+    if (tools === undefined || tools === null) continue;
+    // Komma trennt die Einträge im CLI-Argument
+    if (!Array.isArray(tools) || tools.length === 0 ||
+        !tools.every(tool => typeof tool === 'string' && tool.trim() && !tool.includes(','))) {
+      return `${field}.${list} must be a non-empty array of tool names without commas`;
+    }
+  }
+
+  if (policy.max_turns !== undefined && policy.max_turns !== null &&
+      (!Number.isInteger(policy.max_turns) || policy.max_turns < 1)) {
+    return `${field}.max_turns must be a positive integer`;
+  }
+
+  return null;
+}
+
+/**
+ * Liefert die Basis-Policy eines API Keys (globale Policy, ersetzt durch die Felder des Keys)
+ *
+ * @param {Object|undefined} apiKey - Key-Eintrag (req.apiKey)
+ */
+function forApiKey(apiKey) {
+  const policy = {
+    permission_mode: config.toolPolicy.permissionMode,
+    allowed_tools: config.toolPolicy.allowedTools,
+    disallowed_tools: config.toolPolicy.disallowedTools,
+    max_turns: config.toolPolicy.maxTurns
+  };
+
+  const keyPolicy = apiKey?.toolPolicy;
+  if (keyPolicy) {
+    if (keyPolicy.permissionMode !== undefined) policy.permission_mode = keyPolicy.permissionMode;
+    if (keyPolicy.allowedTools !== undefined) policy.allowed_tools = keyPolicy.allowedTools;
+    if (keyPolicy.disallowedTools !== undefined) policy.disallowed_tools = keyPolicy.disallowedTools;
+    if (keyPolicy.maxTurns !== undefined) policy.max_turns = keyPolicy.maxTurns;
+  }
+
+  return policy;
+}
+
+/**
+ * Ermittelt die wirksame Policy eines Requests
+ *
+ * @param {Object|undefined} apiKey - Key-Eintrag (req.apiKey)
+ * @param {Object|undefined} requested - tool_policy aus dem Request
+ * @returns {Object} Wirksame Policy
+ * @throws {Error} Ungültige Policy (statusCode 400) oder Erweiterung der Basis-Policy (statusCode 403)
+ */
+function resolve(apiKey, requested) {
+  const validationError = validate(requested, 'tool_policy');
+  if (validationError) {
+    throw createError(400, 'invalid_request_error', 'invalid_tool_policy', validationError);
+  }
+
+  const base = forApiKey(apiKey);
+  if (!requested) {
+    return base;
+  }
+
+  const policy = { ...base };
+
+  if (requested.permission_mode) {
+    if (PERMISSION_MODES.indexOf(requested.permission_mode) > PERMISSION_MODES.indexOf(base.permission_mode)) {
+      throw violation(`permission_mode '${requested.permission_mode}' is wider than the allowed '${base.permission_mode}'`);
+    }
+    policy.permission_mode = requested.permission_mode;
+  }
+
+  if (requested.allowed_tools) {
+    if (base.allowed_tools) {
+      const widened = requested.allowed_tools.filter(tool => !isCovered(tool, base.allowed_tools));
+      if (widened.length > 0) {
+        throw violation(`allowed_tools contains tools that are not allowed: ${widened.join(', ')}`);
+      }
+    }
+    policy.allowed_tools = requested.allowed_tools;
+  }
+
+  // Verbotene Tools können nur ergänzt werden
+  if (requested.disallowed_tools) {
+    policy.disallowed_tools = [...new Set([...(base.disallowed_tools || []), ...requested.disallowed_tools])];
+  }
+
+  if (requested.max_turns) {
+    if (base.max_turns && requested.max_turns > base.max_turns) {
+      throw violation(`max_turns ${requested.max_turns} exceeds the allowed ${base.max_turns}`);
+    }
+    policy.max_turns = requested.max_turns;
+  }
+
+  return policy;
+}
+
+/**
+ * Übersetzt eine Policy in Claude CLI Argumente
+ *
+ * @param {Object|undefined} policy - Wirksame Policy (ohne: globale Policy)
+ * @returns {string[]} CLI Argumente
+ */
+function toCliArgs(policy) {
+  const effective = policy || forApiKey(null);
+
+  // bypassPermissions genehmigt jedes Tool, auch wenn es nicht in --allowedTools
+  // steht; mit Allowlist daher "default" (im --print Modus wird nicht Erlaubtes abgelehnt)
+  const permissionMode = effective.allowed_tools && effective.permission_mode === 'bypassPermissions'
+    ? 'default'
+    : effective.permission_mode;
+  const args = ['--permission-mode', permissionMode];
+
+  if (effective.allowed_tools) {
+    args.push('--allowedTools', effective.allowed_tools.join(','));
+  }
+  if (effective.disallowed_tools?.length) {
+    args.push('--disallowedTools', effective.disallowed_tools.join(','));
+  }
+  if (effective.max_turns) {
+    args.push('--max-turns', String(effective.max_turns));
+  }
+
+  return args;
+}
+
+/**
+ * Prüft eine Policy aus der Konfiguration bzw. Key-Datei (camelCase)
+ *
+ * @returns {string|null} Fehlermeldung oder null wenn gültig
+ */
+function validateConfig(policy, field) {
+  if (!policy) return null;
+  return validate({
+    permission_mode: policy.permissionMode,
+    allowed_tools: policy.allowedTools,
+    disallowed_tools: policy.disallowedTools,
+    max_turns: policy.maxTurns
+  }, field);
+}
+
+/**
+ * Prüft ob ein Tool durch eine Liste erlaubter Tools abgedeckt ist
+ * ("Bash" deckt "Bash(git log:*)" ab, "mcp__logsearch" alle Tools des MCP Servers,
+ * aber nicht umgekehrt)
+ */
+function isCovered(tool, allowedTools) {
+  const name = tool.replace(/\(.*\)$/, '');
+  const [prefix, server] = name.split('__');
+  return allowedTools.includes(tool) || allowedTools.includes(name) ||
+    (prefix === 'mcp' && server !== undefined && allowedTools.includes(`mcp__${server}`));
+}
+
+function violation(message) {
+  return createError(403, 'permission_error', 'tool_policy_violation', message);
+}
+
+// Globale Policy beim Start prüfen (Tippfehler in der Konfiguration nicht erst pro Request melden)
+const configError = validateConfig(config.toolPolicy, 'toolPolicy');
+if (configError) {
+  throw new Error(`Invalid tool policy configuration: ${configError}`);
+}
+
+module.exports = {
+  validateConfig,
+  forApiKey,
+  resolve,
+  toCliArgs
+};
@@ -0,0 +1,102 @@
+/**
+ * Extended Usage
+ *
+ * Builds the `usage` block of responses from the CLI `result` event. Besides
+ * the OpenAI token counts it carries the values the CLI reports per run, so
+ * costs can be charged back to teams:
+ *
+ *   { prompt_tokens, completion_tokens, total_tokens,
+ *     cost_usd, duration_ms, duration_api_ms, num_turns, session_id }
+ *
+ * For several CLI runs (n > 1, JSON retries) tokens, costs, durations and
+ * turns are summed up; session_id is the one of the first run.
+ */
+
+/**
+ * Leerer Usage-Block (Startwert zum Summieren)
+ */
+function empty() {
+  return {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+    duration_ms: 0,
+    duration_api_ms: 0,
+    num_turns: 0,
+    session_id: null
+  };
+}
+
+/**
+ * Usage aus einem CLI result Event (bzw. der JSON-Response der CLI)
+ *
+ * @param {Object|string} result - CLI Response; Text-Output enthält keine Usage
+ * @returns {Object} Erweiterter Usage-Block
+ */
+function fromResult(result) {
+  const usage = empty();
+  if (!result || typeof result !== 'object') return usage;
+
+  usage.prompt_tokens = result.usage?.input_tokens || 0;
+  usage.completion_tokens = result.usage?.output_tokens || 0;
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+  // Ältere CLI-Versionen melden cost_usd statt total_cost_usd
+  usage.cost_usd = result.total_cost_usd ?? result.cost_usd ?? 0;
+  usage.duration_ms = result.duration_ms || 0;
+  usage.duration_api_ms = result.duration_api_ms || 0;
+  usage.num_turns = result.num_turns || 0;
+  usage.session_id = result.session_id || null;
+  return usage;
+}
+
+/**
+ * Addiert einen Usage-Block auf eine Summe (in place)
+ *
+ * @param {Object} total - Summe (wird verändert)
+ * @param {Object|null} usage - Zu addierender Usage-Block
+ * @returns {Object} total
+ */
+function add(total, usage) {
+  if (!usage) return total;
+
+  total.prompt_tokens += usage.prompt_tokens || 0;
+  total.completion_tokens += usage.completion_tokens || 0;
+  total.total_tokens += usage.total_tokens || 0;
+  // Auf Mikro-Dollar runden (Gleitkomma-Fehler beim Summieren)
+  total.cost_usd = Math.round((total.cost_usd + (usage.cost_usd || 0)) * 1e6) / 1e6;
+  total.duration_ms += usage.duration_ms || 0;
+  total.duration_api_ms += usage.duration_api_ms || 0;
+  total.num_turns += usage.num_turns || 0;
+  total.session_id = total.session_id || usage.session_id || null;
+  return total;
+}
+
+/**
+ * Summe mehrerer Usage-Blöcke (null wenn keiner vorhanden ist)
+ */
+function sum(usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.reduce(add, empty());
+}
+
+/**
+ * Usage im Anthropic-Format (input_tokens/output_tokens, erweiterte Felder unverändert)
+ */
+function toAnthropic(usage) {
+  const { prompt_tokens, completion_tokens, total_tokens, ...extended } = usage || empty();
+  return {
+    input_tokens: prompt_tokens || 0,
+    output_tokens: completion_tokens || 0,
+    ...extended
+  };
+}
+
+module.exports = {
+  empty,
+  fromResult,
+  add,
+  sum,
+  toAnthropic
+};
@@ -0,0 +1,127 @@
+/**
+ * Request Workspaces
+ *
+ * Resolves the optional `workspace` (alias `cwd`) request option to the
+ * working directory of the Claude CLI process. Only directories below one of
+ * the configured base directories (CLAUDE_WORKSPACE_ROOTS) are allowed;
+ * symlinks are resolved before the check, so they cannot escape a root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createError } = require('./errors');
+
+/**
+ * Liefert den angefragten Workspace eines Request-Bodys (workspace hat Vorrang vor cwd)
+ */
+function fromBody(body) {
+  return body?.workspace ?? body?.cwd;
+}
+
+/**
+ * Prüft einen Workspace gegen die Allowlist und löst ihn auf
+ *
+ * @param {string|undefined|null} workspace - Absoluter Pfad aus dem Request
+ * @returns {string|null} Realer Pfad des Verzeichnisses oder null (Server-cwd)
+ * @throws {Error} Ungültiger Pfad (statusCode 400) oder außerhalb der Allowlist (statusCode 403)
+ */
+function resolve(workspace) {
+  if (workspace === undefined || workspace === null) {
+    return null;
+  }
+
+  if (typeof workspace !== 'string' || !path.isAbsolute(workspace)) {
+    throw createError(400, 'invalid_request_error', 'invalid_workspace', 'workspace must be an absolute directory path');
+  }
+
+  if (config.workspace.roots.length === 0) {
+    throw createError(403, 'permission_error', 'workspace_not_allowed',
+      'Workspaces are not enabled on this server (CLAUDE_WORKSPACE_ROOTS is empty)');
+  }
+
+  // Erst lexikalisch prüfen, damit für fremde Pfade nichts über deren Existenz verraten wird
+  const configuredRoots = config.workspace.roots.map(root => path.resolve(root));
+  const roots = configuredRoots.map(realRoot);
+  const normalized = path.resolve(workspace);
+  if (!isInsideAny(normalized, configuredRoots) && !isInsideAny(normalized, roots)) {
+    throw notAllowed(workspace);
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(normalized);
+  } catch (error) {
+    throw createError(400, 'invalid_request_error', 'workspace_not_found', `Workspace '${workspace}' does not exist`);
+  }
+
+  // Symlinks können aus der Allowlist herausführen
+  if (!isInsideAny(realPath, roots)) {
+    throw notAllowed(workspace);
+  }
+
+  if (!fs.statSync(realPath).isDirectory()) {
+    throw createError(400, 'invalid_request_error', 'invalid_workspace', `Workspace '${workspace}' is not a directory`);
+  }
+
+  return realPath;
+}
+
+/**
+ * Ermittelt das Arbeitsverzeichnis eines Requests
+ *
+ * CLI-Sessions sind an das Verzeichnis gebunden, in dem sie gestartet
+ * wurden. Fortgesetzte Conversations übernehmen daher dessen Workspace;
+ * ein abweichender Workspace wird abgelehnt.
+ *
+ * @param {Object} request - Request-Objekt mit optional workspace
+ * @param {Object|null} conversation - Ergebnis von conversationStore.lookup()
+ * @returns {string|null} Arbeitsverzeichnis oder null (Server-cwd)
+ * @throws {Error} Wie resolve(), oder statusCode 400 bei abweichendem Workspace
+ */
+function forRequest(request, conversation) {
+  const requested = resolve(request.workspace);
+  if (!conversation?.sessionId) {
+    return requested;
+  }
+
+  const sessionWorkspace = conversation.workspace || null;
+  if (requested !== null && requested !== sessionWorkspace) {
+    throw createError(400, 'invalid_request_error', 'workspace_mismatch',
+      `Conversation '${conversation.id}' was started in a different workspace`);
+  }
+
+  return resolve(sessionWorkspace);
+}
+
+/**
+ * Realer Pfad einer Basis (unverändert, falls sie nicht existiert)
+ */
+function realRoot(root) {
+  try {
+    return fs.realpathSync(root);
+  } catch (error) {
+    return path.resolve(root);
+  }
+}
+
+/**
+ * Prüft ob ein Pfad eine der Basen ist oder darunter liegt
+ */
+function isInsideAny(target, roots) {
+  return roots.some(root => {
+    const relative = path.relative(root, target);
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+  });
+}
+
+function notAllowed(workspace) {
+  return createError(403, 'permission_error', 'workspace_not_allowed',
+    `Workspace '${workspace}' is outside the allowed directories`);
+}
+
+module.exports = {
+  fromBody,
+  resolve,
+  forRequest
+};